@@ -6,7 +6,10 @@ import { dashboardController } from "./lib/controllers/dashboard.js";
 import { blogsController } from "./lib/controllers/blogs.js";
 import { sourcesController } from "./lib/controllers/sources.js";
 import { apiController } from "./lib/controllers/api.js";
+import { publicController } from "./lib/controllers/public.js";
+import { websubController } from "./lib/controllers/websub.js";
 import { startSync, stopSync } from "./lib/sync/scheduler.js";
+import { runMigrations } from "./lib/storage/migrations.js";
 import { waitForReady } from "@rmdes/indiekit-startup-gate";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -19,7 +22,17 @@ const defaults = {
   syncInterval: 3600000, // 1 hour
   maxItemsPerBlog: 50,
   maxItemAge: 30, // days
+  itemTtl: false, // expire items with a MongoDB TTL index instead of a sync pass
   fetchTimeout: 15000,
+  syncConcurrency: 5, // blogs fetched in parallel (max one per host)
+  maxRefreshInterval: 86400000, // 24 hours - slowest per-blog refresh
+  deadAfterDays: 14, // stop fetching blogs that keep failing for this long
+  sanitizeProfile: "rich", // "rich", "basic" or sanitize-html options
+  websub: true, // subscribe to WebSub hubs advertised by feeds
+  websubPollInterval: 86400000, // 24 hours - fallback polling of blogs with push updates
+  publicPage: false, // serve an HTML blogroll at {mountPath}/public
+  publicPageTitle: null, // defaults to the localized "Blogroll"
+  publicViewsDirectory: null, // templates here override views/public
 };
 
 export default class BlogrollEndpoint {
@@ -72,11 +85,13 @@ export default class BlogrollEndpoint {
     // Sources management
     protectedRouter.get("/sources", sourcesController.list);
     protectedRouter.get("/sources/new", sourcesController.newForm);
-    protectedRouter.post("/sources", sourcesController.create);
+    protectedRouter.post("/sources", sourcesController.upload, sourcesController.create);
     protectedRouter.get("/sources/:id", sourcesController.edit);
-    protectedRouter.post("/sources/:id", sourcesController.update);
+    protectedRouter.post("/sources/:id", sourcesController.upload, sourcesController.update);
     protectedRouter.post("/sources/:id/delete", sourcesController.remove);
     protectedRouter.post("/sources/:id/sync", sourcesController.sync);
+    protectedRouter.get("/sources/:id/review", sourcesController.review);
+    protectedRouter.post("/sources/:id/review", sourcesController.confirmReview);
 
     // Blogs management
     protectedRouter.get("/blogs", blogsController.list);
@@ -87,8 +102,12 @@ export default class BlogrollEndpoint {
     protectedRouter.post("/blogs/:id/delete", blogsController.remove);
     protectedRouter.post("/blogs/:id/refresh", blogsController.refresh);
 
+    // OPML export with hidden blogs and private notes
+    protectedRouter.get("/export/opml", apiController.exportOpmlPrivate);
+
     // Feed discovery (protected to prevent abuse)
     protectedRouter.get("/api/discover", apiController.discover);
+    protectedRouter.get("/api/preview", apiController.preview);
 
     // Microsub integration (protected - internal use)
     protectedRouter.post("/api/microsub-webhook", apiController.microsubWebhook);
@@ -111,6 +130,9 @@ export default class BlogrollEndpoint {
 
     // Items API (read-only)
     publicRouter.get("/api/items", apiController.listItems);
+    publicRouter.get("/api/items.rss", apiController.itemsRss);
+    publicRouter.get("/api/items.atom", apiController.itemsAtom);
+    publicRouter.get("/api/items.json", apiController.itemsJsonFeed);
 
     // Categories API
     publicRouter.get("/api/categories", apiController.listCategories);
@@ -122,6 +144,20 @@ export default class BlogrollEndpoint {
     publicRouter.get("/api/opml", apiController.exportOpml);
     publicRouter.get("/api/opml/:category", apiController.exportOpmlCategory);
 
+    // WebSub callback: hub verification and content delivery. The raw
+    // body is kept, as deliveries are signed with an HMAC of it.
+    publicRouter.get("/websub/:id", websubController.verify);
+    publicRouter.post(
+      "/websub/:id",
+      express.raw({ type: () => true, limit: "5mb" }),
+      websubController.receive
+    );
+
+    // HTML blogroll page (opt-in)
+    if (this.options.publicPage) {
+      publicRouter.get("/public", publicController.page);
+    }
+
     return publicRouter;
   }
 
@@ -133,6 +169,7 @@ export default class BlogrollEndpoint {
     Indiekit.addCollection("blogrollBlogs");
     Indiekit.addCollection("blogrollItems");
     Indiekit.addCollection("blogrollMeta");
+    Indiekit.addCollection("blogrollUploads");
 
     // Store config in application for controller access
     Indiekit.config.application.blogrollConfig = this.options;
@@ -141,10 +178,20 @@ export default class BlogrollEndpoint {
     // Store database getter for controller access
     Indiekit.config.application.getBlogrollDb = () => Indiekit.database;
 
-    // Start background sync if database is available
+    // Upgrade stored data, then start background sync if database is available
     if (Indiekit.config.application.mongodbUrl) {
       this._stopGate = waitForReady(
-        () => startSync(Indiekit, this.options),
+        async () => {
+          // Syncing would write data in a shape the stored data isn't in yet
+          const migration = await runMigrations(Indiekit.config.application);
+          if (!migration.success) {
+            console.error(
+              `[Blogroll] Background sync disabled: data could not be upgraded (${migration.error}). Fix the error and restart Indiekit.`
+            );
+            return;
+          }
+          startSync(Indiekit, this.options);
+        },
         { label: "Blogroll" },
       );
     }
@@ -3,14 +3,32 @@
  * @module controllers/api
  */
 
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
 import { ObjectId } from "mongodb";
-import { getBlogs, countBlogs, getBlog, getCategories } from "../storage/blogs.js";
-import { getItems, getItemsForBlog } from "../storage/items.js";
+import {
+  getBlogs,
+  getBlogsCursor,
+  countBlogs,
+  getBlog,
+  getBlogByFeedUrl,
+  getCategories,
+} from "../storage/blogs.js";
+import { getItems, getItemsForBlog, decodeItemCursor } from "../storage/items.js";
 import { getSyncStatus } from "../sync/scheduler.js";
-import { generateOpml } from "../sync/opml.js";
+import { previewFeed } from "../sync/feed.js";
+import { streamOpml } from "../sync/opml.js";
+import {
+  generateRiverRss,
+  generateRiverAtom,
+  generateRiverJsonFeed,
+} from "../utils/river-feed.js";
 import { discoverFeeds } from "../utils/feed-discovery.js";
 import { handleMicrosubWebhook, isMicrosubAvailable } from "../sync/microsub.js";
 
+// Most items one request can ask for
+const MAX_ITEMS_LIMIT = 200;
+
 /**
  * List blogs with optional filtering
  * GET /api/blogs
@@ -18,18 +36,19 @@ import { handleMicrosubWebhook, isMicrosubAvailable } from "../sync/microsub.js"
 async function listBlogs(request, response) {
   const { application } = request.app.locals;
 
-  const { category, source, sort, limit = 100, offset = 0 } = request.query;
+  const { category, source, q, sort, limit = 100, offset = 0 } = request.query;
 
   try {
     const blogs = await getBlogs(application, {
       category,
       source,
+      q,
       sort,
       limit: Number(limit),
       offset: Number(offset),
     });
 
-    const total = await countBlogs(application, { category, source });
+    const total = await countBlogs(application, { category, source, q });
 
     response.json({
       items: blogs.map(sanitizeBlog),
@@ -81,13 +100,23 @@ async function getBlogDetail(request, response) {
 async function listItems(request, response) {
   const { application } = request.app.locals;
 
-  const { blog, category, limit = 50, offset = 0 } = request.query;
+  const { blog, category, q, cursor, limit = 50, offset = 0 } = request.query;
 
   try {
+    if (blog && !ObjectId.isValid(blog)) {
+      return response.status(400).json({ error: "Invalid blog ID" });
+    }
+
+    if (cursor && !decodeItemCursor(cursor)) {
+      return response.status(400).json({ error: "Invalid cursor" });
+    }
+
     const result = await getItems(application, {
       blogId: blog,
       category,
-      limit: Number(limit),
+      q,
+      cursor,
+      limit: itemsLimit(limit),
       offset: Number(offset),
     });
 
@@ -105,6 +134,7 @@ async function listItems(request, response) {
           : null,
       })),
       hasMore: result.hasMore,
+      nextCursor: result.nextCursor,
     });
   } catch (error) {
     console.error("[Blogroll API] listItems error:", error);
@@ -112,6 +142,30 @@ async function listItems(request, response) {
   }
 }
 
+/**
+ * River feed of items as RSS 2.0
+ * GET /api/items.rss
+ */
+async function itemsRss(request, response) {
+  await sendRiverFeed(request, response, "rss");
+}
+
+/**
+ * River feed of items as Atom 1.0
+ * GET /api/items.atom
+ */
+async function itemsAtom(request, response) {
+  await sendRiverFeed(request, response, "atom");
+}
+
+/**
+ * River feed of items as JSON Feed 1.1
+ * GET /api/items.json
+ */
+async function itemsJsonFeed(request, response) {
+  await sendRiverFeed(request, response, "json");
+}
+
 /**
  * List categories
  * GET /api/categories
@@ -152,19 +206,10 @@ async function status(request, response) {
  * GET /api/opml
  */
 async function exportOpml(request, response) {
-  const { application } = request.app.locals;
-
-  try {
-    const blogs = await getBlogs(application, { limit: 1000 });
-    const opml = generateOpml(blogs, "Blogroll");
-
-    response.set("Content-Type", "text/x-opml");
-    response.set("Content-Disposition", 'attachment; filename="blogroll.opml"');
-    response.send(opml);
-  } catch (error) {
-    console.error("[Blogroll API] exportOpml error:", error);
-    response.status(500).json({ error: "Failed to export OPML" });
-  }
+  await sendOpml(request, response, {
+    title: "Blogroll",
+    filename: "blogroll.opml",
+  });
 }
 
 /**
@@ -172,23 +217,26 @@ async function exportOpml(request, response) {
  * GET /api/opml/:category
  */
 async function exportOpmlCategory(request, response) {
-  const { application } = request.app.locals;
   const { category } = request.params;
 
-  try {
-    const blogs = await getBlogs(application, { category, limit: 1000 });
-    const opml = generateOpml(blogs, `Blogroll - ${category}`);
+  await sendOpml(request, response, {
+    title: `Blogroll - ${category}`,
+    filename: `blogroll-${encodeURIComponent(category)}.opml`,
+    category,
+  });
+}
 
-    response.set("Content-Type", "text/x-opml");
-    response.set(
-      "Content-Disposition",
-      `attachment; filename="blogroll-${encodeURIComponent(category)}.opml"`
-    );
-    response.send(opml);
-  } catch (error) {
-    console.error("[Blogroll API] exportOpmlCategory error:", error);
-    response.status(500).json({ error: "Failed to export OPML" });
-  }
+/**
+ * Export OPML including private data (protected)
+ * Honours includeHidden and writes notes and hidden state.
+ * GET /export/opml
+ */
+async function exportOpmlPrivate(request, response) {
+  await sendOpml(request, response, {
+    title: "Blogroll",
+    filename: "blogroll.opml",
+    includePrivate: true,
+  });
 }
 
 /**
@@ -211,8 +259,178 @@ async function discover(request, response) {
   }
 }
 
+/**
+ * Preview a feed (or a website's feed) before adding it
+ * GET /api/preview?url=...
+ */
+async function preview(request, response) {
+  const { application } = request.app.locals;
+  const { url } = request.query;
+
+  if (!url) {
+    return response.status(400).json({ error: "URL parameter required" });
+  }
+
+  try {
+    const result = await previewFeed(url, {
+      timeout: application.blogrollConfig?.fetchTimeout,
+    });
+
+    if (result.success) {
+      const existing = await getBlogByFeedUrl(application, result.feedUrl);
+      result.existingBlogId = existing ? existing._id.toString() : null;
+    }
+
+    response.json(result);
+  } catch (error) {
+    console.error("[Blogroll API] preview error:", error);
+    response.status(500).json({ error: "Failed to preview feed" });
+  }
+}
+
 // Helper functions
 
+/**
+ * Read an item page size from the query string
+ * @param {string} value - `limit` parameter
+ * @returns {number} Page size between 1 and MAX_ITEMS_LIMIT
+ */
+function itemsLimit(value) {
+  return Math.min(Math.max(Number(value) || 50, 1), MAX_ITEMS_LIMIT);
+}
+
+/**
+ * Send the merged items of all blogs as a feed
+ * Supports the same blog and category filters as listItems.
+ * Items dated in the future are left out.
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @param {string} format - "rss", "atom" or "json"
+ */
+async function sendRiverFeed(request, response, format) {
+  const { application, publication } = request.app.locals;
+  const { blog, category, limit = 50 } = request.query;
+
+  try {
+    if (blog && !ObjectId.isValid(blog)) {
+      return response.status(400).json({ error: "Invalid blog ID" });
+    }
+
+    const result = await getItems(application, {
+      blogId: blog,
+      category,
+      limit: itemsLimit(limit),
+    });
+
+    const now = new Date();
+    const items = result.items.filter(
+      (item) => !item.published || new Date(item.published) <= now
+    );
+
+    let title = "Blogroll";
+    if (blog && items[0]?.blog) title = `Blogroll - ${items[0].blog.title}`;
+    else if (category) title = `Blogroll - ${category}`;
+
+    const feed = {
+      title,
+      homePageUrl: publication?.me,
+      feedUrl: new URL(
+        request.originalUrl,
+        application.url || `${request.protocol}://${request.get("host")}`
+      ).href,
+    };
+
+    if (format === "json") {
+      response.set("Content-Type", "application/feed+json; charset=utf-8");
+      return response.send(JSON.stringify(generateRiverJsonFeed(items, feed)));
+    }
+
+    if (format === "atom") {
+      response.set("Content-Type", "application/atom+xml; charset=utf-8");
+      return response.send(generateRiverAtom(items, feed));
+    }
+
+    response.set("Content-Type", "application/rss+xml; charset=utf-8");
+    response.send(generateRiverRss(items, feed));
+  } catch (error) {
+    console.error(`[Blogroll API] river ${format} error:`, error);
+    response.status(500).json({ error: "Failed to generate feed" });
+  }
+}
+
+/**
+ * Stream an OPML export shaped by query parameters
+ * Supports flat, tag, source (ID or type), pinned and active.
+ * includeHidden is only honoured for private exports.
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @param {object} options - Export options
+ * @param {string} options.title - OPML title
+ * @param {string} options.filename - Download filename
+ * @param {string} [options.category] - Only this category
+ * @param {boolean} [options.includePrivate] - Private export
+ */
+async function sendOpml(request, response, options) {
+  const { application } = request.app.locals;
+  const { flat, tag, source, pinned, active, includeHidden } = request.query;
+  const { title, filename, category, includePrivate = false } = options;
+
+  try {
+    const isSourceId = typeof source === "string" && /^[\da-f]{24}$/i.test(source);
+    const cursor = getBlogsCursor(application, {
+      category,
+      tag,
+      sourceId: isSourceId ? source : undefined,
+      source: isSourceId ? undefined : source,
+      pinned: pinned === "true",
+      active: active === "true",
+      includeHidden: includePrivate && includeHidden === "true",
+    });
+
+    response.set("Content-Type", "text/x-opml");
+    response.set("Content-Disposition", `attachment; filename="${filename}"`);
+
+    await pipeline(
+      Readable.from(
+        streamOpml(cursor, {
+          title,
+          flat: flat === "true",
+          includePrivate,
+          ...getOpmlOwner(request),
+        })
+      ),
+      response
+    );
+  } catch (error) {
+    console.error("[Blogroll API] exportOpml error:", error);
+    if (!response.headersSent) {
+      response.status(500).json({ error: "Failed to export OPML" });
+    }
+  }
+}
+
+/**
+ * Get OPML owner details from the Indiekit publication
+ * @param {object} request - Express request
+ * @returns {object} ownerName and ownerId
+ */
+function getOpmlOwner(request) {
+  const { publication } = request.app.locals;
+  const ownerId = publication?.me;
+  if (!ownerId) return {};
+
+  let ownerName = publication.name;
+  if (!ownerName) {
+    try {
+      ownerName = new URL(ownerId).hostname;
+    } catch {
+      ownerName = undefined;
+    }
+  }
+
+  return { ownerName, ownerId };
+}
+
 /**
  * Sanitize blog for API response
  * @param {object} blog - Blog document
@@ -228,11 +446,13 @@ function sanitizeBlog(blog) {
     feedType: blog.feedType,
     category: blog.category,
     tags: blog.tags,
+    language: blog.language || null,
     photo: blog.photo,
     author: blog.author,
     status: blog.status,
     itemCount: blog.itemCount,
     pinned: blog.pinned,
+    fullContent: Boolean(blog.fullContent),
     lastFetchAt: blog.lastFetchAt,
     lastItemAt: blog.lastItemAt || null,
     source: blog.source || null,
@@ -258,10 +478,14 @@ function sanitizeItem(item) {
     url: item.url,
     title: item.title,
     summary: item.summary,
+    content: item.content?.html ? { html: item.content.html, text: item.content.text } : null,
+    fullContent: Boolean(item.fullContent),
     published: item.published,
     isFuture: published ? published > new Date() : false,
     author: item.author,
     photo: item.photo,
+    enclosures: item.enclosures || [],
+    podcast: item.podcast || null,
     categories: item.categories,
   };
 }
@@ -349,11 +573,16 @@ export const apiController = {
   listBlogs,
   getBlog: getBlogDetail,
   listItems,
+  itemsRss,
+  itemsAtom,
+  itemsJsonFeed,
   listCategories,
   status,
   exportOpml,
   exportOpmlCategory,
+  exportOpmlPrivate,
   discover,
+  preview,
   microsubWebhook,
   microsubStatus,
 };
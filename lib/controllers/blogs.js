@@ -11,8 +11,14 @@ import {
   updateBlog,
   deleteBlog,
 } from "../storage/blogs.js";
-import { getItemsForBlog, deleteItemsForBlog } from "../storage/items.js";
-import { syncBlogItems } from "../sync/feed.js";
+import {
+  getItemsForBlog,
+  deleteItemsForBlog,
+  getMaxItemAge,
+  setItemsExpiry,
+} from "../storage/items.js";
+import { previewFeed, syncBlogItems } from "../sync/feed.js";
+import { requestWebSubSubscription } from "../sync/websub.js";
 
 /**
  * List blogs
@@ -20,11 +26,13 @@ import { syncBlogItems } from "../sync/feed.js";
  */
 async function list(request, response) {
   const { application } = request.app.locals;
-  const { category, status: filterStatus } = request.query;
+  const { category, q, status: filterStatus } = request.query;
 
   try {
     const blogs = await getBlogs(application, {
       category,
+      q,
+      searchNotes: true,
       includeHidden: true,
       limit: 100,
     });
@@ -48,6 +56,7 @@ async function list(request, response) {
       categories,
       filterCategory: category,
       filterStatus,
+      searchQuery: q,
       baseUrl: request.baseUrl,
       ...flash,
     });
@@ -65,12 +74,19 @@ async function list(request, response) {
  * GET /blogs/new
  */
 function newForm(request, response) {
+  const { application } = request.app.locals;
+
+  // Validation errors from create are shown above the form
+  const flash = consumeFlashMessage(request);
+
   response.render("blogroll-blog-edit", {
     title: request.__("blogroll.blogs.new"),
     parent: { text: request.__("blogroll.blogs.title"), href: `${request.baseUrl}/blogs` },
     blog: null,
     isNew: true,
+    maxItemAge: getMaxItemAge(application),
     baseUrl: request.baseUrl,
+    ...flash,
   });
 }
 
@@ -80,7 +96,9 @@ function newForm(request, response) {
  */
 async function create(request, response) {
   const { application } = request.app.locals;
-  const { feedUrl, title, siteUrl, category, tags, notes, pinned, hidden } = request.body;
+  const { feedUrl, title, siteUrl, category, tags, notes, pinned, hidden, fullContent } =
+    request.body;
+  const retention = parseRetention(request.body.retentionMode, request.body.retentionValue);
 
   try {
     // Validate required fields
@@ -91,9 +109,39 @@ async function create(request, response) {
       return response.redirect(`${request.baseUrl}/blogs/new`);
     }
 
-    // Check for duplicate
-    const existing = await getBlogByFeedUrl(application, feedUrl);
-    if (existing) {
+    if (retention === undefined) {
+      request.session.messages = [
+        { type: "error", content: request.__("blogroll.blogs.form.retentionInvalid") },
+      ];
+      return response.redirect(`${request.baseUrl}/blogs/new`);
+    }
+
+    // Only add URLs that serve a readable feed, rather than a blog that never syncs.
+    // The feed is parsed as a sync would, so the first sync needn't fetch it again.
+    const config = application.blogrollConfig || {};
+    const preview = await previewFeed(feedUrl, {
+      timeout: config.fetchTimeout,
+      discover: false,
+      keepFeed: true,
+      maxItems: config.maxItemsPerBlog,
+      sanitizeProfile: config.sanitizeProfile,
+    });
+    if (!preview.success) {
+      request.session.messages = [
+        {
+          type: "error",
+          content: request.__("blogroll.blogs.form.previewInvalid", { error: preview.error }),
+        },
+      ];
+      return response.redirect(`${request.baseUrl}/blogs/new`);
+    }
+
+    // Check for duplicates under both the URL entered and the one it resolved to
+    const feedUrls = [...new Set([feedUrl.trim(), preview.feedUrl])];
+    const existing = await Promise.all(
+      feedUrls.map((url) => getBlogByFeedUrl(application, url))
+    );
+    if (existing.some(Boolean)) {
       request.session.messages = [
         { type: "error", content: "A blog with this feed URL already exists" },
       ];
@@ -101,19 +149,27 @@ async function create(request, response) {
     }
 
     const blog = await createBlog(application, {
-      feedUrl,
-      title: title || feedUrl,
-      siteUrl: siteUrl || null,
+      feedUrl: preview.feedUrl,
+      feedType: preview.feedType,
+      title: title || preview.title || preview.feedUrl,
+      description: preview.description,
+      photo: preview.photo,
+      siteUrl: siteUrl || preview.siteUrl,
       category: category || "",
       tags: tags ? tags.split(",").map((t) => t.trim()).filter(Boolean) : [],
       notes: notes || null,
       pinned: pinned === "on" || pinned === true,
       hidden: hidden === "on" || hidden === true,
+      fullContent: fullContent === "on" || fullContent === true,
+      retention,
     });
 
-    // Trigger initial fetch
+    // First sync, from the previewed feed when it could be kept
     try {
-      const result = await syncBlogItems(application, blog, application.blogrollConfig);
+      const result = await syncBlogItems(application, blog, {
+        ...config,
+        feed: preview.feed,
+      });
       if (result.success) {
         request.session.messages = [
           {
@@ -181,6 +237,7 @@ async function edit(request, response) {
       blog,
       items,
       isNew: false,
+      maxItemAge: getMaxItemAge(application),
       baseUrl: request.baseUrl,
       ...flash,
     });
@@ -200,7 +257,9 @@ async function edit(request, response) {
 async function update(request, response) {
   const { application } = request.app.locals;
   const { id } = request.params;
-  const { feedUrl, title, siteUrl, category, tags, notes, pinned, hidden } = request.body;
+  const { feedUrl, title, siteUrl, category, tags, notes, pinned, hidden, fullContent } =
+    request.body;
+  const retention = parseRetention(request.body.retentionMode, request.body.retentionValue);
 
   try {
     const blog = await getBlog(application, id);
@@ -209,7 +268,14 @@ async function update(request, response) {
       return response.status(404).render("404");
     }
 
-    await updateBlog(application, id, {
+    if (retention === undefined) {
+      request.session.messages = [
+        { type: "error", content: request.__("blogroll.blogs.form.retentionInvalid") },
+      ];
+      return response.redirect(`${request.baseUrl}/blogs/${id}`);
+    }
+
+    const updateData = {
       feedUrl,
       title: title || feedUrl,
       siteUrl: siteUrl || null,
@@ -218,7 +284,24 @@ async function update(request, response) {
       notes: notes || null,
       pinned: pinned === "on" || pinned === true,
       hidden: hidden === "on" || hidden === true,
-    });
+      fullContent: fullContent === "on" || fullContent === true,
+      retention,
+    };
+
+    // Cache validators and schedule belong to the old feed URL. Turning on
+    // full content also needs a full fetch to extract the current items.
+    if (feedUrl !== blog.feedUrl || (updateData.fullContent && !blog.fullContent)) {
+      updateData.etag = null;
+      updateData.lastModified = null;
+      updateData.nextFetchAt = null;
+    }
+
+    await updateBlog(application, id, updateData);
+
+    // Items of blogs with their own retention are exempt from the TTL index
+    if (Boolean(blog.retention) !== Boolean(retention)) {
+      await setItemsExpiry(application, blog._id, !retention);
+    }
 
     request.session.messages = [
       { type: "success", content: request.__("blogroll.blogs.updated") },
@@ -251,6 +334,11 @@ async function remove(request, response) {
 
     await deleteBlog(application, id);
 
+    // Stop pushed updates; the hub confirms through the callback
+    if (blog.websub?.hub) {
+      await requestWebSubSubscription(application, blog, blog.websub, "unsubscribe");
+    }
+
     request.session.messages = [
       { type: "success", content: request.__("blogroll.blogs.deleted") },
     ];
@@ -305,6 +393,26 @@ async function refresh(request, response) {
   }
 }
 
+/**
+ * Parse the retention fields of the blog form
+ * @param {string} mode - "default", "forever", "days" or "count"
+ * @param {string} value - Number of days or items
+ * @returns {object|null|undefined} Retention, null for the default, or
+ *   undefined if the value is invalid
+ */
+function parseRetention(mode, value) {
+  if (mode === "forever") {
+    return { mode };
+  }
+
+  if (mode === "days" || mode === "count") {
+    const number = Number.parseInt(value, 10);
+    return number >= 1 ? { mode, value: number } : undefined;
+  }
+
+  return null;
+}
+
 /**
  * Extract and clear flash messages from session
  * Returns { success, error } for Indiekit's native notificationBanner
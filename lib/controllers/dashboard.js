@@ -16,7 +16,7 @@ async function get(request, response) {
   const { application } = request.app.locals;
 
   try {
-    const [rawSources, blogs, blogCount, itemCount, syncStatus] = await Promise.all([
+    const [sources, blogs, blogCount, itemCount, syncStatus] = await Promise.all([
       getSources(application),
       getBlogs(application, { limit: 10 }),
       countBlogs(application),
@@ -24,19 +24,11 @@ async function get(request, response) {
       getSyncStatus(application),
     ]);
 
-    // Convert Date objects to ISO strings for template date filter compatibility
-    const sources = rawSources.map((source) => ({
-      ...source,
-      lastSyncAt: source.lastSyncAt
-        ? (source.lastSyncAt instanceof Date
-            ? source.lastSyncAt.toISOString()
-            : source.lastSyncAt)
-        : null,
-    }));
-
     // Get blogs with errors
     const errorBlogs = await getBlogs(application, { includeHidden: true, limit: 100 });
-    const blogsWithErrors = errorBlogs.filter((b) => b.status === "error");
+    const blogsWithErrors = errorBlogs.filter(
+      (b) => ["error", "dead", "gone"].includes(b.status)
+    );
 
     // Extract flash messages for native Indiekit notification banner
     const flash = consumeFlashMessage(request);
@@ -73,7 +65,11 @@ async function sync(request, response) {
   const { application } = request.app.locals;
 
   try {
-    const result = await runFullSync(application, application.blogrollConfig);
+    // Manual sync refreshes every blog, not just those due
+    const result = await runFullSync(application, {
+      ...application.blogrollConfig,
+      force: true,
+    });
 
     if (result.skipped) {
       request.session.messages = [
@@ -0,0 +1,127 @@
+/**
+ * Public blogroll page controller
+ * Renders with its own Nunjucks environment, so sites can override any
+ * template in views/public by placing one with the same name in
+ * `publicViewsDirectory`.
+ * @module controllers/public
+ */
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import nunjucks from "nunjucks";
+import { getBlogsCursor } from "../storage/blogs.js";
+import { getLatestItems } from "../storage/items.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PUBLIC_VIEWS = path.join(__dirname, "..", "..", "views", "public");
+
+const FEED_MIME_TYPES = {
+  rss: "application/rss+xml",
+  atom: "application/atom+xml",
+  jsonfeed: "application/feed+json",
+};
+
+let environment = null;
+let environmentDirectory = null;
+
+/**
+ * Get the Nunjucks environment for public templates
+ * @param {string} [overrideDirectory] - Directory searched before views/public
+ * @returns {object} Nunjucks environment
+ */
+function getEnvironment(overrideDirectory) {
+  if (!environment || environmentDirectory !== overrideDirectory) {
+    const searchPaths = overrideDirectory ? [overrideDirectory, PUBLIC_VIEWS] : [PUBLIC_VIEWS];
+    environment = new nunjucks.Environment(new nunjucks.FileSystemLoader(searchPaths), {
+      autoescape: true,
+    });
+    environment.addFilter("formatDate", formatDate);
+    environment.addFilter("httpUrl", httpUrl);
+    environmentDirectory = overrideDirectory;
+  }
+  return environment;
+}
+
+/**
+ * Format a date for display
+ * @param {Date|string} value - Date value
+ * @param {string} locale - Locale
+ * @returns {string} Formatted date
+ */
+function formatDate(value, locale) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  try {
+    return new Intl.DateTimeFormat(locale, { dateStyle: "medium" }).format(date);
+  } catch {
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+/**
+ * Keep only http(s) URLs, since imported blog data isn't trusted
+ * @param {string} value - URL
+ * @returns {string} URL, or an empty string
+ */
+function httpUrl(value) {
+  return typeof value === "string" && /^https?:\/\//i.test(value) ? value : "";
+}
+
+/**
+ * Public blogroll page
+ * GET /public
+ */
+async function page(request, response) {
+  const { application, publication } = request.app.locals;
+  const config = application.blogrollConfig || {};
+
+  try {
+    // Blogs whose feeds fail aren't recommended to visitors
+    const blogs = await getBlogsCursor(application, { active: true }).toArray();
+    const latestItems = await getLatestItems(application, blogs);
+
+    // Blogs arrive sorted by category, so consecutive runs form the groups
+    const categories = [];
+    for (const blog of blogs) {
+      const name = blog.category || "";
+      let group = categories.at(-1);
+      if (!group || group.name !== name) {
+        group = { name, blogs: [] };
+        categories.push(group);
+      }
+
+      const latestItem = latestItems.get(blog._id.toString());
+      group.blogs.push({
+        ...blog,
+        feedMimeType: FEED_MIME_TYPES[blog.feedType] || FEED_MIME_TYPES.rss,
+        latestItem: latestItem
+          ? {
+              ...latestItem,
+              published: latestItem.published
+                ? new Date(latestItem.published).toISOString()
+                : null,
+            }
+          : null,
+      });
+    }
+
+    const html = getEnvironment(config.publicViewsDirectory).render("blogroll-public.njk", {
+      __: (key, options) => request.__(key, options),
+      title: config.publicPageTitle || request.__("blogroll.public.title"),
+      locale: application.locale || "en",
+      publication,
+      categories,
+      opmlUrl: `${request.baseUrl}/api/opml`,
+      riverUrl: `${request.baseUrl}/api/items`,
+    });
+
+    response.type("html").send(html);
+  } catch (error) {
+    console.error("[Blogroll] Public page error:", error);
+    response.status(500).send("Failed to render blogroll");
+  }
+}
+
+export const publicController = {
+  page,
+};
@@ -3,6 +3,9 @@
  * @module controllers/sources
  */
 
+import path from "node:path";
+import multer from "multer";
+
 import {
   getSources,
   getSource,
@@ -10,7 +13,13 @@ import {
   updateSource,
   deleteSource,
 } from "../storage/sources.js";
-import { syncOpmlSource } from "../sync/opml.js";
+import { deleteSourceUpload, saveSourceUpload } from "../storage/uploads.js";
+import { readOpmlFile, syncOpmlSource } from "../sync/opml.js";
+import {
+  READER_EXPORTS,
+  READER_EXPORT_TYPES,
+  readReaderExportFile,
+} from "../sync/reader-exports.js";
 import {
   syncMicrosubSource,
   getMicrosubChannels,
@@ -21,6 +30,40 @@ import {
   fetchFeedlandCategories,
 } from "../sync/feedland.js";
 
+// How blogs that disappear from an upstream list are handled
+const ORPHAN_ACTIONS = ["keep", "hide", "delete"];
+
+// Source types imported from an uploaded file
+const FILE_TYPES = ["opml_file", ...READER_EXPORT_TYPES];
+
+// Source types whose imports can be reviewed (Microsub channels are mirrored as-is)
+const REVIEWABLE_TYPES = ["opml_url", "json_feed", "feedland", ...FILE_TYPES];
+
+// Largest file accepted for upload
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024;
+
+// File extensions of OPML files and feed reader exports
+const UPLOAD_EXTENSIONS = new Set([
+  ".opml",
+  ".xml",
+  ...Object.values(READER_EXPORTS).flatMap((format) => format.extensions),
+]);
+
+// Multipart parser for the source form. Files stay in memory: they are
+// decoded and stored in blogrollUploads, never written to disk.
+const fileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+  fileFilter(request, file, callback) {
+    if (UPLOAD_EXTENSIONS.has(path.extname(file.originalname).toLowerCase())) {
+      return callback(null, true);
+    }
+    const error = new Error("Unsupported file type");
+    error.code = "UNSUPPORTED_FILE_TYPE";
+    callback(error);
+  },
+}).single("opmlFile");
+
 /**
  * List sources
  * GET /sources
@@ -29,17 +72,7 @@ async function list(request, response) {
   const { application } = request.app.locals;
 
   try {
-    const rawSources = await getSources(application);
-
-    // Convert Date objects to ISO strings for template date filter compatibility
-    const sources = rawSources.map((source) => ({
-      ...source,
-      lastSyncAt: source.lastSyncAt
-        ? (source.lastSyncAt instanceof Date
-            ? source.lastSyncAt.toISOString()
-            : source.lastSyncAt)
-        : null,
-    }));
+    const sources = await getSources(application);
 
     // Extract flash messages for native Indiekit notification banner
     const flash = consumeFlashMessage(request);
@@ -73,14 +106,19 @@ async function newForm(request, response) {
     ? await getMicrosubChannels(application)
     : [];
 
+  // Validation errors from create are shown above the form
+  const flash = consumeFlashMessage(request);
+
   response.render("blogroll-source-edit", {
     title: request.__("blogroll.sources.new"),
     parent: { text: request.__("blogroll.sources.title"), href: `${request.baseUrl}/sources` },
     source: null,
     isNew: true,
+    maxUploadSize: MAX_UPLOAD_SIZE,
     baseUrl: request.baseUrl,
     microsubAvailable,
     microsubChannels,
+    ...flash,
   });
 }
 
@@ -94,7 +132,6 @@ async function create(request, response) {
     name,
     type,
     url,
-    opmlContent,
     syncInterval,
     enabled,
     channelFilter,
@@ -102,6 +139,9 @@ async function create(request, response) {
     feedlandInstance,
     feedlandUsername,
     feedlandCategory,
+    orphanAction,
+    folderMode,
+    review: reviewFirst,
   } = request.body;
 
   try {
@@ -113,9 +153,16 @@ async function create(request, response) {
       return response.redirect(`${request.baseUrl}/sources/new`);
     }
 
-    if (type === "opml_url" && !url) {
+    if ((type === "opml_url" || type === "json_feed") && !url) {
       request.session.messages = [
-        { type: "error", content: "URL is required for OPML URL source" },
+        { type: "error", content: "URL is required for OPML URL and JSON sources" },
+      ];
+      return response.redirect(`${request.baseUrl}/sources/new`);
+    }
+
+    if (FILE_TYPES.includes(type) && !request.file) {
+      request.session.messages = [
+        { type: "error", content: request.__("blogroll.sources.form.opmlFileRequired") },
       ];
       return response.redirect(`${request.baseUrl}/sources/new`);
     }
@@ -134,13 +181,18 @@ async function create(request, response) {
       return response.redirect(`${request.baseUrl}/sources/new`);
     }
 
+    const file = FILE_TYPES.includes(type) ? await readUploadedFile(request, type) : null;
+
     const sourceData = {
       name,
       type,
       url: url || null,
-      opmlContent: opmlContent || null,
+      opmlFile: file?.opmlFile || null,
       syncInterval: Number(syncInterval) || 60,
       enabled: enabled === "on" || enabled === true,
+      orphanAction: ORPHAN_ACTIONS.includes(orphanAction) ? orphanAction : "keep",
+      folderMode: folderMode === "tags" ? "tags" : "path",
+      awaitingReview: reviewFirst === "on" && REVIEWABLE_TYPES.includes(type),
     };
 
     // Add microsub-specific fields
@@ -158,6 +210,15 @@ async function create(request, response) {
 
     const source = await createSource(application, sourceData);
 
+    if (file) {
+      await saveSourceUpload(application, source._id, file.upload);
+    }
+
+    // Nothing is imported until the entries are reviewed
+    if (source.awaitingReview) {
+      return response.redirect(`${request.baseUrl}/sources/${source._id}/review`);
+    }
+
     // Trigger initial sync based on source type
     try {
       if (type === "microsub") {
@@ -212,14 +273,19 @@ async function edit(request, response) {
       ? await getMicrosubChannels(application)
       : [];
 
+    // Extract flash messages for native Indiekit notification banner
+    const flash = consumeFlashMessage(request);
+
     response.render("blogroll-source-edit", {
       title: request.__("blogroll.sources.edit"),
       parent: { text: request.__("blogroll.sources.title"), href: `${request.baseUrl}/sources` },
       source,
       isNew: false,
+      maxUploadSize: MAX_UPLOAD_SIZE,
       baseUrl: request.baseUrl,
       microsubAvailable,
       microsubChannels,
+      ...flash,
     });
   } catch (error) {
     console.error("[Blogroll] Edit source error:", error);
@@ -241,7 +307,6 @@ async function update(request, response) {
     name,
     type,
     url,
-    opmlContent,
     syncInterval,
     enabled,
     channelFilter,
@@ -249,6 +314,8 @@ async function update(request, response) {
     feedlandInstance,
     feedlandUsername,
     feedlandCategory,
+    orphanAction,
+    folderMode,
   } = request.body;
 
   try {
@@ -258,13 +325,25 @@ async function update(request, response) {
       return response.status(404).render("404");
     }
 
+    // Switching to another file type needs a file of that type
+    if (FILE_TYPES.includes(type) && !request.file && (!source.opmlFile || type !== source.type)) {
+      request.session.messages = [
+        { type: "error", content: request.__("blogroll.sources.form.opmlFileRequired") },
+      ];
+      return response.redirect(`${request.baseUrl}/sources/${id}`);
+    }
+
+    // A new upload replaces the file; without one the current file is kept
+    const file = FILE_TYPES.includes(type) ? await readUploadedFile(request, type) : null;
+
     const updateData = {
       name,
       type,
       url: url || null,
-      opmlContent: opmlContent || null,
       syncInterval: Number(syncInterval) || 60,
       enabled: enabled === "on" || enabled === true,
+      orphanAction: ORPHAN_ACTIONS.includes(orphanAction) ? orphanAction : "keep",
+      folderMode: folderMode === "tags" ? "tags" : "path",
     };
 
     // Add microsub-specific fields
@@ -282,8 +361,21 @@ async function update(request, response) {
       updateData.feedlandCategory = feedlandCategory || null;
     }
 
+    if (file) {
+      updateData.opmlFile = file.opmlFile;
+      await saveSourceUpload(application, source._id, file.upload);
+    }
+
+    // Types that aren't uploaded have no use for the previous file
+    const dropUpload = !FILE_TYPES.includes(type) && FILE_TYPES.includes(source.type);
+    if (dropUpload) updateData.opmlFile = null;
+
     await updateSource(application, id, updateData);
 
+    if (dropUpload) {
+      await deleteSourceUpload(application, source._id);
+    }
+
     request.session.messages = [
       { type: "success", content: request.__("blogroll.sources.updated") },
     ];
@@ -344,42 +436,226 @@ async function sync(request, response) {
       return response.status(404).render("404");
     }
 
-    // Use appropriate sync function based on source type
-    let result;
-    if (source.type === "microsub") {
-      result = await syncMicrosubSource(application, source);
-    } else if (source.type === "feedland") {
-      result = await syncFeedlandSource(application, source);
-    } else {
-      result = await syncOpmlSource(application, source);
+    if (source.awaitingReview) {
+      return response.redirect(`${request.baseUrl}/sources/${id}/review`);
     }
 
-    if (result.success) {
+    const result = await runSourceSync(application, source);
+    request.session.messages = [syncResultMessage(request, result)];
+
+    response.redirect(`${request.baseUrl}/sources`);
+  } catch (error) {
+    console.error("[Blogroll] Sync source error:", error);
+    request.session.messages = [
+      { type: "error", content: error.message },
+    ];
+    response.redirect(`${request.baseUrl}/sources`);
+  }
+}
+
+/**
+ * Review what importing a source would change
+ * GET /sources/:id/review
+ */
+async function review(request, response) {
+  const { application } = request.app.locals;
+  const { id } = request.params;
+
+  try {
+    const source = await getSource(application, id);
+
+    if (!source) {
+      return response.status(404).render("404");
+    }
+
+    if (!REVIEWABLE_TYPES.includes(source.type)) {
       request.session.messages = [
-        {
-          type: "success",
-          content: request.__("blogroll.sources.synced", {
-            added: result.added,
-            updated: result.updated,
-          }),
-        },
+        { type: "error", content: request.__("blogroll.sources.review.unsupported") },
       ];
-    } else {
+      return response.redirect(`${request.baseUrl}/sources`);
+    }
+
+    const result = await runSourceSync(application, source, { dryRun: true });
+
+    if (!result.success) {
       request.session.messages = [
         { type: "error", content: result.error },
       ];
+      return response.redirect(`${request.baseUrl}/sources`);
+    }
+
+    // Entries deselected before stay deselected; feeds already in the
+    // blogroll through another source or by hand aren't imported by default
+    const excluded = new Set(source.excludedFeeds || []);
+    const select = (selected) => (entry) => ({
+      ...entry,
+      selected: selected && !excluded.has(entry.feedUrl),
+    });
+    const { diff } = result;
+
+    response.render("blogroll-source-review", {
+      title: request.__("blogroll.sources.review.title", { name: source.name }),
+      parent: { text: request.__("blogroll.sources.title"), href: `${request.baseUrl}/sources` },
+      source,
+      groups: [
+        { name: "added", selectable: true, entries: diff.added.map(select(true)) },
+        { name: "changed", selectable: true, imported: true, entries: diff.changed.map(select(true)) },
+        { name: "duplicates", selectable: true, entries: diff.duplicates.map(select(false)) },
+        { name: "unchanged", selectable: true, imported: true, entries: diff.unchanged.map(select(true)) },
+        { name: "skipped", selectable: false, entries: diff.skipped },
+        { name: "orphaned", selectable: false, entries: diff.orphaned },
+      ].filter((group) => group.entries.length > 0),
+      baseUrl: request.baseUrl,
+    });
+  } catch (error) {
+    console.error("[Blogroll] Review source error:", error);
+    response.status(500).render("error", {
+      title: "Error",
+      message: "Failed to review source",
+    });
+  }
+}
+
+/**
+ * Import the entries selected in the review
+ * POST /sources/:id/review
+ */
+async function confirmReview(request, response) {
+  const { application } = request.app.locals;
+  const { id } = request.params;
+
+  try {
+    const source = await getSource(application, id);
+
+    if (!source) {
+      return response.status(404).render("404");
     }
 
+    // Unchecked checkboxes aren't submitted: every reviewed entry is in `listed`
+    const listed = [request.body.listed || []].flat();
+    const selected = new Set([request.body.feeds || []].flat());
+    const reviewed = {
+      excludedFeeds: listed.filter((feedUrl) => !selected.has(feedUrl)),
+      awaitingReview: false,
+    };
+
+    await updateSource(application, id, reviewed);
+
+    const result = await runSourceSync(application, { ...source, ...reviewed });
+    request.session.messages = [syncResultMessage(request, result)];
+
     response.redirect(`${request.baseUrl}/sources`);
   } catch (error) {
-    console.error("[Blogroll] Sync source error:", error);
+    console.error("[Blogroll] Import source error:", error);
     request.session.messages = [
       { type: "error", content: error.message },
     ];
-    response.redirect(`${request.baseUrl}/sources`);
+    response.redirect(`${request.baseUrl}/sources/${id}/review`);
   }
 }
 
+/**
+ * Parse the multipart source form, with its uploaded file
+ * POST /sources, POST /sources/:id
+ */
+function upload(request, response, next) {
+  fileUpload(request, response, (error) => {
+    if (!error) return next();
+
+    let content = error.message;
+    if (error.code === "LIMIT_FILE_SIZE") {
+      content = request.__("blogroll.sources.form.opmlFileTooLarge", {
+        size: MAX_UPLOAD_SIZE / 1024 / 1024,
+      });
+    } else if (error.code === "UNSUPPORTED_FILE_TYPE") {
+      content = request.__("blogroll.sources.form.opmlFileType");
+    }
+
+    request.session.messages = [{ type: "error", content }];
+    response.redirect(
+      request.params.id
+        ? `${request.baseUrl}/sources/${request.params.id}`
+        : `${request.baseUrl}/sources/new`
+    );
+  });
+}
+
+/**
+ * Read the file uploaded with the source form
+ * @param {object} request - Express request
+ * @param {string} type - Source type: "opml_file" or a READER_EXPORTS type
+ * @returns {Promise<object|null>} { upload, opmlFile }, or null without a file
+ */
+async function readUploadedFile(request, type) {
+  if (!request.file) return null;
+
+  let file;
+  try {
+    file =
+      type === "opml_file"
+        ? await readOpmlFile(request.file.buffer)
+        : readReaderExportFile(type, request.file.buffer);
+  } catch (error) {
+    throw new Error(
+      request.__("blogroll.sources.form.opmlFileInvalid", { error: error.message })
+    );
+  }
+
+  const filename = path.basename(request.file.originalname);
+
+  return {
+    upload: { filename, encoding: file.encoding, content: file.content },
+    opmlFile: {
+      filename,
+      size: request.file.size,
+      encoding: file.encoding,
+      feeds: file.feeds,
+      uploadedAt: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Sync a source with the sync function for its type
+ * @param {object} application - Application instance
+ * @param {object} source - Source document
+ * @param {object} [options] - Sync options, e.g. { dryRun }
+ * @returns {Promise<object>} Sync result
+ */
+function runSourceSync(application, source, options) {
+  if (source.type === "microsub") {
+    return syncMicrosubSource(application, source);
+  }
+  if (source.type === "feedland") {
+    return syncFeedlandSource(application, source, options);
+  }
+  return syncOpmlSource(application, source, options);
+}
+
+/**
+ * Build the flash message for a sync result
+ * @param {object} request - Express request
+ * @param {object} result - Sync result
+ * @returns {object} Flash message
+ */
+function syncResultMessage(request, result) {
+  if (!result.success) {
+    return { type: "error", content: result.error };
+  }
+
+  return {
+    type: "success",
+    content: request.__(
+      result.orphaned ? "blogroll.sources.synced_orphaned" : "blogroll.sources.synced",
+      {
+        added: result.added,
+        updated: result.updated,
+        orphaned: result.orphaned,
+      }
+    ),
+  };
+}
+
 /**
  * Extract and clear flash messages from session
  * Returns { success, error } for Indiekit's native notificationBanner
@@ -418,10 +694,13 @@ async function feedlandCategories(request, response) {
 export const sourcesController = {
   list,
   newForm,
+  upload,
   create,
   edit,
   update,
   remove,
   sync,
+  review,
+  confirmReview,
   feedlandCategories,
 };
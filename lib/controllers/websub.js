@@ -0,0 +1,59 @@
+/**
+ * WebSub callback controller
+ * Public endpoint hubs call to verify subscriptions and deliver content.
+ * @module controllers/websub
+ */
+
+import { ObjectId } from "mongodb";
+import { receiveWebSubContent, verifyWebSubIntent } from "../sync/websub.js";
+
+/**
+ * Verification of intent
+ * GET /websub/:id?hub.mode=...&hub.topic=...&hub.challenge=...
+ */
+async function verify(request, response) {
+  const { application } = request.app.locals;
+  const { id } = request.params;
+
+  try {
+    if (!ObjectId.isValid(id)) {
+      return response.status(404).type("text/plain").send("Unknown subscription");
+    }
+
+    const result = await verifyWebSubIntent(application, id, request.query);
+    response.status(result.status).type("text/plain").send(result.body);
+  } catch (error) {
+    console.error("[Blogroll] WebSub verification error:", error);
+    response.status(500).type("text/plain").send("Verification failed");
+  }
+}
+
+/**
+ * Content delivery
+ * POST /websub/:id
+ */
+async function receive(request, response) {
+  const { application } = request.app.locals;
+  const { id } = request.params;
+
+  try {
+    if (!ObjectId.isValid(id)) {
+      return response.sendStatus(404);
+    }
+
+    const result = await receiveWebSubContent(application, id, {
+      body: request.body,
+      contentType: request.get("Content-Type"),
+      signature: request.get("X-Hub-Signature"),
+    });
+    response.sendStatus(result.status);
+  } catch (error) {
+    console.error("[Blogroll] WebSub delivery error:", error);
+    response.sendStatus(500);
+  }
+}
+
+export const websubController = {
+  verify,
+  receive,
+};
@@ -4,6 +4,11 @@
  */
 
 import { ObjectId } from "mongodb";
+import { ensureSearchIndexes } from "./indexes.js";
+import { parseSearchTerms, scoreTextMatch, termsToRegex } from "../utils/search.js";
+
+// Field weights for admin searches, which also cover private notes
+const NOTES_SEARCH_WEIGHTS = { title: 10, tags: 5, description: 2, notes: 1 };
 
 /**
  * Get collection reference
@@ -17,13 +22,24 @@ function getCollection(application) {
 
 /**
  * Get all blogs
+ * With a search query `q`, blogs are ranked by relevance across title,
+ * tags and description. Private notes are only searched with
+ * `searchNotes`, for the admin UI.
  * @param {object} application - Application instance
  * @param {object} options - Query options
  * @returns {Promise<Array>} Blogs
  */
 export async function getBlogs(application, options = {}) {
   const collection = getCollection(application);
-  const { category, sourceId, includeHidden = false, limit = 100, offset = 0 } = options;
+  const {
+    category,
+    sourceId,
+    q,
+    searchNotes = false,
+    includeHidden = false,
+    limit = 100,
+    offset = 0,
+  } = options;
 
   const query = { status: { $ne: "deleted" } };
   if (!includeHidden) query.hidden = { $ne: true };
@@ -33,19 +49,97 @@ export async function getBlogs(application, options = {}) {
 
   // Default sort: pinned first, then alphabetical
   // "recent" sort: pinned first, then by last fetch time (newest first)
-  const sortOrder =
+  let sortOrder =
     options.sort === "recent"
       ? { pinned: -1, lastFetchAt: -1, title: 1 }
       : { pinned: -1, title: 1 };
 
+  if (q?.trim() && searchNotes) {
+    return searchBlogsWithNotes(collection, query, q, sortOrder, { limit, offset });
+  }
+
+  let projection = {};
+  if (q?.trim()) {
+    await ensureSearchIndexes(application);
+    query.$text = { $search: q };
+    projection = { score: { $meta: "textScore" } };
+    sortOrder = { score: { $meta: "textScore" }, ...sortOrder };
+  }
+
   return collection
     .find(query)
+    .project(projection)
     .sort(sortOrder)
     .skip(offset)
     .limit(limit)
     .toArray();
 }
 
+/**
+ * Search blogs including their private notes
+ * The text index leaves notes out, so matches are found with regular
+ * expressions and ranked with the same weights instead.
+ * @param {Collection} collection - Blogs collection
+ * @param {object} query - Base query
+ * @param {string} q - Search query
+ * @param {object} sortOrder - Order of equally scored blogs
+ * @param {object} page - { limit, offset }
+ * @returns {Promise<Array>} Blogs, each with a `score`
+ */
+async function searchBlogsWithNotes(collection, query, q, sortOrder, { limit, offset }) {
+  const terms = parseSearchTerms(q);
+  if (terms.length === 0) return [];
+
+  const pattern = termsToRegex(terms);
+  const blogs = await collection
+    .find({ ...query, $or: Object.keys(NOTES_SEARCH_WEIGHTS).map((field) => ({ [field]: pattern })) })
+    .sort(sortOrder)
+    .toArray();
+
+  // Array.prototype.sort is stable, so ties keep sortOrder
+  return blogs
+    .map((blog) => ({
+      ...blog,
+      score: scoreTextMatch(
+        { ...blog, tags: (blog.tags || []).join(" ") },
+        NOTES_SEARCH_WEIGHTS,
+        terms
+      ),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(offset, offset + limit);
+}
+
+/**
+ * Get a cursor over blogs for export
+ * Unlike getBlogs there is no limit, so large blogrolls can be streamed.
+ * Results are sorted by category so callers can group them as they go.
+ * @param {object} application - Application instance
+ * @param {object} options - Query options
+ * @param {string} [options.category] - Only this category
+ * @param {string} [options.tag] - Only blogs with this tag
+ * @param {string} [options.sourceId] - Only blogs from this source
+ * @param {string} [options.source] - Only blogs with this source type
+ * @param {boolean} [options.pinned] - Only pinned blogs
+ * @param {boolean} [options.active] - Skip blogs in error, dead or gone
+ * @param {boolean} [options.includeHidden] - Include hidden blogs
+ * @returns {FindCursor} MongoDB cursor
+ */
+export function getBlogsCursor(application, options = {}) {
+  const collection = getCollection(application);
+  const { category, tag, sourceId, source, pinned, active, includeHidden = false } = options;
+
+  const query = { status: active ? "active" : { $ne: "deleted" } };
+  if (!includeHidden) query.hidden = { $ne: true };
+  if (category) query.category = category;
+  if (tag) query.tags = tag;
+  if (sourceId) query.sourceId = new ObjectId(sourceId);
+  if (source) query.source = source;
+  if (pinned) query.pinned = true;
+
+  return collection.find(query).sort({ category: 1, pinned: -1, title: 1 });
+}
+
 /**
  * Count blogs
  * @param {object} application - Application instance
@@ -54,12 +148,16 @@ export async function getBlogs(application, options = {}) {
  */
 export async function countBlogs(application, options = {}) {
   const collection = getCollection(application);
-  const { category, source, includeHidden = false } = options;
+  const { category, source, q, includeHidden = false } = options;
 
   const query = { status: { $ne: "deleted" } };
   if (!includeHidden) query.hidden = { $ne: true };
   if (category) query.category = category;
   if (source) query.source = source;
+  if (q?.trim()) {
+    await ensureSearchIndexes(application);
+    query.$text = { $search: q };
+  }
 
   return collection.countDocuments(query);
 }
@@ -78,13 +176,49 @@ export async function getBlog(application, id) {
 
 /**
  * Get blog by feed URL
+ * Also matches blogs whose feed has since moved away from this URL.
  * @param {object} application - Application instance
  * @param {string} feedUrl - Feed URL
  * @returns {Promise<object|null>} Blog or null
  */
 export async function getBlogByFeedUrl(application, feedUrl) {
   const collection = getCollection(application);
-  return collection.findOne({ feedUrl, status: { $ne: "deleted" } });
+  return collection.findOne({
+    $or: [{ feedUrl }, { previousFeedUrls: feedUrl }],
+    status: { $ne: "deleted" },
+  });
+}
+
+/**
+ * Record a permanent feed move (HTTP 301/308)
+ * The old URL is appended to `previousFeedUrls`, so the first entry is
+ * always the URL the blog was originally added with.
+ * @param {object} application - Application instance
+ * @param {object} blog - Blog document
+ * @param {string} newFeedUrl - New feed URL
+ * @returns {Promise<boolean>} True if moved, false if another blog has the new URL
+ */
+export async function moveBlogFeedUrl(application, blog, newFeedUrl) {
+  const collection = getCollection(application);
+
+  const existing = await getBlogByFeedUrl(application, newFeedUrl);
+  if (existing && !existing._id.equals(blog._id)) {
+    console.log(
+      `[Blogroll] Feed ${blog.feedUrl} moved to ${newFeedUrl}, which is already in the blogroll`
+    );
+    return false;
+  }
+
+  await collection.updateOne(
+    { _id: blog._id },
+    {
+      $set: { feedUrl: newFeedUrl, updatedAt: new Date().toISOString() },
+      $push: { previousFeedUrls: blog.feedUrl },
+    }
+  );
+
+  console.log(`[Blogroll] Feed moved permanently: ${blog.feedUrl} -> ${newFeedUrl}`);
+  return true;
 }
 
 /**
@@ -112,10 +246,20 @@ export async function createBlog(application, data) {
     lastFetchAt: null,
     lastItemAt: null,
     lastError: null,
+    etag: null,
+    lastModified: null,
+    nextFetchAt: null,
+    consecutiveFailures: 0,
+    failingSince: null,
+    previousFeedUrls: [],
     itemCount: 0,
     pinned: data.pinned || false,
     hidden: data.hidden || false,
     notes: data.notes || null,
+    // Per-blog item retention; null follows maxItemAge
+    retention: data.retention || null,
+    // Fetch each item's web page for the full article
+    fullContent: data.fullContent || false,
     createdAt: now,
     updatedAt: now,
   };
@@ -198,6 +342,8 @@ export async function updateBlogStatus(application, id, status) {
     update.status = "active";
     update.lastFetchAt = new Date().toISOString();
     update.lastError = null;
+    update.consecutiveFailures = 0;
+    update.failingSince = null;
     if (status.itemCount !== undefined) {
       update.itemCount = status.itemCount;
     }
@@ -205,29 +351,107 @@ export async function updateBlogStatus(application, id, status) {
     if (status.title) update.title = status.title;
     if (status.photo) update.photo = status.photo;
     if (status.siteUrl) update.siteUrl = status.siteUrl;
+    // HTTP cache validators for conditional GET
+    if (status.etag !== undefined) update.etag = status.etag;
+    if (status.lastModified !== undefined) update.lastModified = status.lastModified;
   } else {
-    update.status = "error";
+    // "gone" (HTTP 410) and "dead" (failing for too long) blogs are skipped by the scheduler
+    if (status.gone) update.status = "gone";
+    else if (status.dead) update.status = "dead";
+    else update.status = "error";
     update.lastError = status.error;
+    if (status.consecutiveFailures !== undefined) {
+      update.consecutiveFailures = status.consecutiveFailures;
+    }
+    if (status.failingSince !== undefined) update.failingSince = status.failingSince;
   }
 
+  if (status.nextFetchAt !== undefined) update.nextFetchAt = status.nextFetchAt;
+
   return collection.updateOne({ _id: objectId }, { $set: update });
 }
 
 /**
  * Get blogs due for refresh
+ * A blog is due once its adaptive `nextFetchAt` has passed (or was never set).
+ * Linked Microsub blogs are excluded (their items come from Microsub), as are dead and gone blogs.
  * @param {object} application - Application instance
- * @param {number} maxAge - Max age in minutes before refresh
+ * @param {object} options - Query options
+ * @param {number} [options.dueWithin] - Also include blogs due within this many ms
+ * @param {boolean} [options.force] - Every refreshable blog, due or not
  * @returns {Promise<Array>} Blogs needing refresh
  */
-export async function getBlogsDueForRefresh(application, maxAge = 60) {
+export async function getBlogsDueForRefresh(application, options = {}) {
   const collection = getCollection(application);
-  const cutoff = new Date(Date.now() - maxAge * 60000);
+  const { dueWithin = 0, force = false } = options;
 
-  return collection
+  const query = {
+    hidden: { $ne: true },
+    status: { $nin: ["deleted", "dead", "gone"] },
+    $nor: [{ source: "microsub", microsubFeedId: { $nin: [null, ""] } }],
+    skipItemFetch: { $ne: true },
+  };
+
+  if (!force) {
+    const cutoff = new Date(Date.now() + dueWithin).toISOString();
+    query.$or = [{ nextFetchAt: null }, { nextFetchAt: { $lte: cutoff } }];
+  }
+
+  return collection.find(query).toArray();
+}
+
+/**
+ * Update a blog's WebSub subscription
+ * @param {object} application - Application instance
+ * @param {ObjectId|string} id - Blog ID
+ * @param {object|null} websub - Subscription fields to set, or null to clear it
+ * @param {object} [options] - Options
+ * @param {boolean} [options.replace] - Replace the whole subscription
+ * @returns {Promise<object>} Update result
+ */
+export async function updateBlogWebSub(application, id, websub, options = {}) {
+  const collection = getCollection(application);
+  const objectId = typeof id === "string" ? new ObjectId(id) : id;
+
+  const update = { updatedAt: new Date().toISOString() };
+  if (websub === null || options.replace) {
+    update.websub = websub;
+  } else {
+    for (const [key, value] of Object.entries(websub)) {
+      update[`websub.${key}`] = value;
+    }
+  }
+
+  return collection.updateOne({ _id: objectId }, { $set: update });
+}
+
+/**
+ * Record content pushed by a WebSub hub
+ * @param {object} application - Application instance
+ * @param {ObjectId} id - Blog ID
+ * @param {string|null} newestDate - Newest published date of the delivered items
+ * @returns {Promise<object>} Update result
+ */
+export async function recordWebSubDelivery(application, id, newestDate) {
+  const now = new Date().toISOString();
+  const update = { $set: { "websub.lastDeliveryAt": now, updatedAt: now } };
+  if (newestDate) update.$max = { lastItemAt: newestDate };
+
+  return getCollection(application).updateOne({ _id: id }, update);
+}
+
+/**
+ * Get blogs whose WebSub lease needs renewing
+ * @param {object} application - Application instance
+ * @param {Date} before - Leases expiring before this date
+ * @returns {Promise<Array>} Blogs
+ */
+export async function getBlogsWithExpiringWebSub(application, before) {
+  return getCollection(application)
     .find({
-      hidden: { $ne: true },
       status: { $ne: "deleted" },
-      $or: [{ lastFetchAt: null }, { lastFetchAt: { $lt: cutoff } }],
+      "websub.state": "subscribed",
+      "websub.leaseExpiresAt": { $lt: before.toISOString() },
     })
     .toArray();
 }
@@ -249,6 +473,175 @@ export async function getCategories(application) {
     .toArray();
 }
 
+/**
+ * Reconcile blogs from a source against the feeds it currently lists
+ * Blogs no longer listed upstream are orphans, marked with `orphanedAt`
+ * and handled per `action`:
+ * - "keep": leave them in the blogroll
+ * - "hide": hide them, and unhide them if they reappear upstream
+ * - "delete": soft-delete them and their items, like deleteBlog
+ * @param {object} application - Application instance
+ * @param {string|ObjectId} sourceId - Source ID
+ * @param {Array<string>} feedUrls - Feed URLs currently listed by the source
+ * @param {string} action - "keep" | "hide" | "delete"
+ * @returns {Promise<number>} Number of newly orphaned blogs
+ */
+export async function reconcileSourceBlogs(application, sourceId, feedUrls, action = "keep") {
+  const db = application.getBlogrollDb();
+  const collection = getCollection(application);
+  const objectId = typeof sourceId === "string" ? new ObjectId(sourceId) : sourceId;
+  const now = new Date().toISOString();
+
+  // Moved feeds still match through their previous URLs
+  const listed = [{ feedUrl: { $in: feedUrls } }, { previousFeedUrls: { $in: feedUrls } }];
+  const fromSource = { sourceId: objectId, status: { $ne: "deleted" } };
+
+  // Orphans listed again are restored (unhidden only if hiding them was our doing)
+  await collection.updateMany(
+    { ...fromSource, orphanedAt: { $ne: null }, $or: listed },
+    { $set: { orphanedAt: null, updatedAt: now } }
+  );
+  await collection.updateMany(
+    { ...fromSource, hiddenAsOrphan: true, $or: listed },
+    { $set: { hidden: false, hiddenAsOrphan: false, updatedAt: now } }
+  );
+
+  const orphans = await collection
+    .find({ ...fromSource, orphanedAt: null, $nor: listed })
+    .project({ _id: 1 })
+    .toArray();
+  const orphanIds = orphans.map((b) => b._id);
+
+  if (orphanIds.length === 0) return 0;
+
+  if (action === "delete") {
+    await db.collection("blogrollItems").deleteMany({ blogId: { $in: orphanIds } });
+    await collection.updateMany(
+      { _id: { $in: orphanIds } },
+      {
+        $set: {
+          status: "deleted",
+          hidden: true,
+          orphanedAt: now,
+          deletedAt: now,
+          updatedAt: now,
+        },
+      }
+    );
+  } else if (action === "hide") {
+    await collection.updateMany(
+      { _id: { $in: orphanIds }, hidden: { $ne: true } },
+      { $set: { hidden: true, hiddenAsOrphan: true } }
+    );
+    await collection.updateMany(
+      { _id: { $in: orphanIds } },
+      { $set: { orphanedAt: now, updatedAt: now } }
+    );
+  } else {
+    await collection.updateMany(
+      { _id: { $in: orphanIds } },
+      { $set: { orphanedAt: now, updatedAt: now } }
+    );
+  }
+
+  return orphanIds.length;
+}
+
+/**
+ * Compare a source's entries with the blogroll without writing anything
+ * The dry-run counterpart of upserting each entry and reconciling the source:
+ * - added: entries that would create a blog
+ * - changed: blogs of this source whose title or category would change
+ * - unchanged: blogs of this source that would stay as they are
+ * - duplicates: feeds already in the blogroll, added by hand or by another
+ *   source, which importing would list twice
+ * - skipped: feeds of deleted blogs, which imports never restore
+ * - orphaned: blogs of this source that are no longer listed
+ * Entries repeating a feed URL are only listed once.
+ * @param {object} application - Application instance
+ * @param {string|ObjectId} sourceId - Source ID
+ * @param {Array<object>} entries - Blog entries from the source
+ * @returns {Promise<object>} Diff with one array per group
+ */
+export async function diffSourceBlogs(application, sourceId, entries) {
+  const collection = getCollection(application);
+  const objectId = typeof sourceId === "string" ? new ObjectId(sourceId) : sourceId;
+  const feedUrls = [...new Set(entries.map((entry) => entry.feedUrl))];
+  const listed = [{ feedUrl: { $in: feedUrls } }, { previousFeedUrls: { $in: feedUrls } }];
+
+  const matches = await collection
+    .find({ $or: listed })
+    .project({ title: 1, category: 1, feedUrl: 1, previousFeedUrls: 1, sourceId: 1, status: 1 })
+    .toArray();
+
+  // Blogs by every URL they match, as upsertBlog matches moved feeds too
+  const blogsByUrl = new Map();
+  for (const blog of matches) {
+    for (const url of [blog.feedUrl, ...(blog.previousFeedUrls || [])]) {
+      if (!blogsByUrl.has(url)) blogsByUrl.set(url, []);
+      blogsByUrl.get(url).push(blog);
+    }
+  }
+
+  const diff = { added: [], changed: [], unchanged: [], duplicates: [], skipped: [], orphaned: [] };
+  const seen = new Set();
+
+  for (const entry of entries) {
+    if (seen.has(entry.feedUrl)) continue;
+    seen.add(entry.feedUrl);
+
+    const blogs = blogsByUrl.get(entry.feedUrl) || [];
+    const item = {
+      feedUrl: entry.feedUrl,
+      title: entry.title,
+      category: entry.category || "",
+    };
+
+    if (blogs.some((blog) => blog.status === "deleted")) {
+      diff.skipped.push(item);
+      continue;
+    }
+
+    const own = blogs.find((blog) => blog.sourceId?.equals(objectId));
+    if (own) {
+      const changes = {};
+      if (own.title !== entry.title) {
+        changes.title = { from: own.title, to: entry.title };
+      }
+      if ((own.category || "") !== item.category) {
+        changes.category = { from: own.category || "", to: item.category };
+      }
+
+      const group = Object.keys(changes).length > 0 ? diff.changed : diff.unchanged;
+      group.push({ ...item, blogId: own._id.toString(), changes });
+    } else if (blogs.length > 0) {
+      diff.duplicates.push({
+        ...item,
+        existing: { id: blogs[0]._id.toString(), title: blogs[0].title },
+      });
+    } else {
+      diff.added.push(item);
+    }
+  }
+
+  // Same selection as reconcileSourceBlogs; an empty list never orphans
+  if (feedUrls.length > 0) {
+    const orphans = await collection
+      .find({ sourceId: objectId, status: { $ne: "deleted" }, orphanedAt: null, $nor: listed })
+      .project({ title: 1, category: 1, feedUrl: 1 })
+      .toArray();
+
+    diff.orphaned = orphans.map((blog) => ({
+      feedUrl: blog.feedUrl,
+      title: blog.title,
+      category: blog.category || "",
+      blogId: blog._id.toString(),
+    }));
+  }
+
+  return diff;
+}
+
 /**
  * Upsert a blog (for OPML sync)
  * @param {object} application - Application instance
@@ -259,16 +652,19 @@ export async function upsertBlog(application, data) {
   const collection = getCollection(application);
   const now = new Date().toISOString();
 
+  // Match blogs whose feed has moved away from this URL too
+  const feedUrlMatch = [{ feedUrl: data.feedUrl }, { previousFeedUrls: data.feedUrl }];
+
   // Skip if a blog with this feedUrl was soft-deleted
   const deleted = await collection.findOne({
-    feedUrl: data.feedUrl,
+    $or: feedUrlMatch,
     status: "deleted",
   });
   if (deleted) {
     return { upserted: false, modified: false, skippedDeleted: true };
   }
 
-  const filter = { feedUrl: data.feedUrl };
+  const filter = { $or: feedUrlMatch };
   if (data.sourceId) {
     filter.sourceId = new ObjectId(data.sourceId);
   }
@@ -290,21 +686,37 @@ export async function upsertBlog(application, data) {
   if (data.microsubChannelName !== undefined) setFields.microsubChannelName = data.microsubChannelName;
   if (data.skipItemFetch !== undefined) setFields.skipItemFetch = data.skipItemFetch;
   if (data.photo !== undefined) setFields.photo = data.photo;
+  if (data.tags !== undefined) setFields.tags = data.tags;
+  if (data.description !== undefined) setFields.description = data.description;
+  if (data.language !== undefined) setFields.language = data.language;
+  if (data.opmlAttributes !== undefined) setFields.opmlAttributes = data.opmlAttributes;
   if (data.lastFetchAt !== undefined) setFields.lastFetchAt = data.lastFetchAt;
-  if (data.lastItemAt !== undefined) setFields.lastItemAt = data.lastItemAt;
   if (data.status !== undefined) setFields.status = data.status;
+  if (data.pinned !== undefined) setFields.pinned = data.pinned;
+  if (data.hidden !== undefined) setFields.hidden = data.hidden;
+  if (data.notes !== undefined) setFields.notes = data.notes;
+
+  // lastItemAt only moves forward, so an older import never rewinds it
+  const maxFields = {};
+  if (data.lastItemAt) maxFields.lastItemAt = data.lastItemAt;
 
   // $setOnInsert only for fields NOT already in $set (avoids MongoDB path conflicts)
   const insertDefaults = {
-    description: null,
-    tags: [],
     author: null,
     lastError: null,
+    etag: null,
+    lastModified: null,
+    nextFetchAt: null,
+    consecutiveFailures: 0,
+    failingSince: null,
     itemCount: 0,
-    pinned: false,
-    hidden: false,
-    notes: null,
+    retention: null,
+    fullContent: false,
     createdAt: now,
+    // Not in $set: a moved blog keeps its new feedUrl. An $or filter
+    // doesn't seed fields on insert, so set it explicitly.
+    feedUrl: data.feedUrl,
+    previousFeedUrls: [],
   };
 
   // Add defaults for optional fields only when they're NOT in $set
@@ -314,16 +726,24 @@ export async function upsertBlog(application, data) {
   if (!("microsubChannelName" in setFields)) insertDefaults.microsubChannelName = null;
   if (!("skipItemFetch" in setFields)) insertDefaults.skipItemFetch = false;
   if (!("photo" in setFields)) insertDefaults.photo = null;
+  if (!("tags" in setFields)) insertDefaults.tags = [];
+  if (!("description" in setFields)) insertDefaults.description = null;
   if (!("lastFetchAt" in setFields)) insertDefaults.lastFetchAt = null;
-  if (!("lastItemAt" in setFields)) insertDefaults.lastItemAt = null;
+  if (!("lastItemAt" in maxFields)) insertDefaults.lastItemAt = null;
   if (!("status" in setFields)) insertDefaults.status = "active";
+  if (!("pinned" in setFields)) insertDefaults.pinned = false;
+  if (!("hidden" in setFields)) insertDefaults.hidden = false;
+  if (!("notes" in setFields)) insertDefaults.notes = null;
+
+  const update = {
+    $set: setFields,
+    $setOnInsert: insertDefaults,
+  };
+  if (Object.keys(maxFields).length > 0) update.$max = maxFields;
 
   const result = await collection.updateOne(
     filter,
-    {
-      $set: setFields,
-      $setOnInsert: insertDefaults,
-    },
+    update,
     { upsert: true }
   );
 
@@ -0,0 +1,180 @@
+/**
+ * Index management
+ * @module storage/indexes
+ */
+
+import { getMaxItemAge } from "./items.js";
+
+let searchIndexes = null;
+
+// Name of the optional TTL index enforcing maxItemAge
+const ITEM_TTL_INDEX = "blogroll_item_ttl";
+
+/**
+ * Create all blogroll indexes
+ * Safe to run on every startup: createIndex is a no-op for existing
+ * indexes. Failures are logged and don't stop the plugin.
+ * @param {object} application - Application instance
+ * @param {object} [options] - Options
+ * @param {boolean} [options.itemTtl] - Expire items with a TTL index
+ * @param {number} [options.maxItemAge] - Item retention in days
+ * @returns {Promise<void>}
+ */
+export async function ensureIndexes(application, options = {}) {
+  const { itemTtl = false, maxItemAge = getMaxItemAge(application) } = options;
+  const db = application.getBlogrollDb();
+  const blogs = db.collection("blogrollBlogs");
+  const items = db.collection("blogrollItems");
+
+  try {
+    await Promise.all([
+      blogs.createIndex({ feedUrl: 1 }),
+      blogs.createIndex({ previousFeedUrls: 1 }),
+      blogs.createIndex({ sourceId: 1 }),
+      blogs.createIndex({ status: 1, nextFetchAt: 1 }),
+      blogs.createIndex({ category: 1, pinned: -1, title: 1 }),
+      items.createIndex({ published: -1, _id: -1 }),
+      items.createIndex({ blogId: 1, published: -1, _id: -1 }),
+      db.collection("blogrollSources").createIndex({ type: 1 }),
+      db.collection("blogrollUploads").createIndex({ sourceId: 1 }, { unique: true }),
+      db.collection("blogrollMeta").createIndex({ key: 1 }, { unique: true }),
+    ]);
+
+    await ensureUniqueItemIndex(items);
+    await ensureItemTtlIndex(items, blogs, itemTtl ? maxItemAge : null);
+  } catch (error) {
+    console.error("[Blogroll] Failed to create indexes:", error.message);
+  }
+
+  await ensureSearchIndexes(application);
+}
+
+/**
+ * Create the unique { blogId, uid } item index
+ * Duplicates left by concurrent syncs before the index existed are
+ * removed first, keeping the most recently fetched copy.
+ * @param {Collection} items - blogrollItems collection
+ * @returns {Promise<void>}
+ */
+async function ensureUniqueItemIndex(items) {
+  const spec = { blogId: 1, uid: 1 };
+  const indexOptions = { unique: true, name: "blogroll_item_uid" };
+
+  try {
+    await items.createIndex(spec, indexOptions);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const duplicates = await items
+      .aggregate([
+        { $sort: { fetchedAt: -1 } },
+        {
+          $group: {
+            _id: { blogId: "$blogId", uid: "$uid" },
+            ids: { $push: "$_id" },
+            count: { $sum: 1 },
+          },
+        },
+        { $match: { count: { $gt: 1 } } },
+      ])
+      .toArray();
+
+    const extraIds = duplicates.flatMap((group) => group.ids.slice(1));
+    await items.deleteMany({ _id: { $in: extraIds } });
+    console.log(`[Blogroll] Removed ${extraIds.length} duplicate items`);
+
+    await items.createIndex(spec, indexOptions);
+  }
+}
+
+/**
+ * Create, update or drop the item TTL index
+ * TTL indexes only work on Date fields, so they use `publishedAt`, a Date
+ * copy of the ISO `published` string. Items saved before it existed are
+ * backfilled, except those of blogs with their own retention, which the
+ * index must not expire.
+ * @param {Collection} items - blogrollItems collection
+ * @param {Collection} blogs - blogrollBlogs collection
+ * @param {number|null} maxItemAge - Retention in days, or null to drop the index
+ * @returns {Promise<void>}
+ */
+async function ensureItemTtlIndex(items, blogs, maxItemAge) {
+  const existing = (await items.indexes()).find((index) => index.name === ITEM_TTL_INDEX);
+
+  if (!maxItemAge) {
+    if (existing) await items.dropIndex(ITEM_TTL_INDEX);
+    return;
+  }
+
+  const overrides = await blogs.distinct("_id", { retention: { $ne: null } });
+
+  await items.updateMany(
+    {
+      publishedAt: { $exists: false },
+      published: { $type: "string" },
+      blogId: { $nin: overrides },
+    },
+    [
+      {
+        $set: {
+          publishedAt: {
+            $convert: { input: "$published", to: "date", onError: null, onNull: null },
+          },
+        },
+      },
+    ]
+  );
+
+  const expireAfterSeconds = Math.round(maxItemAge * 24 * 60 * 60);
+  if (existing && existing.expireAfterSeconds !== expireAfterSeconds) {
+    await items.dropIndex(ITEM_TTL_INDEX);
+  }
+
+  await items.createIndex(
+    { publishedAt: 1 },
+    { name: ITEM_TTL_INDEX, expireAfterSeconds }
+  );
+}
+
+/**
+ * Ensure the text indexes used by search exist
+ * Created once per process; a failure is logged and retried on next use.
+ * Blogs have a `language` field, which MongoDB would otherwise read as the
+ * text index language and reject unsupported values such as "en-US", so
+ * the override points at a field that is never set. Private notes are
+ * left out of the blog index, as public API searches use it too.
+ * @param {object} application - Application instance
+ * @returns {Promise<void>}
+ */
+export function ensureSearchIndexes(application) {
+  if (!searchIndexes) {
+    const db = application.getBlogrollDb();
+    const textOptions = { default_language: "none", language_override: "textSearchLanguage" };
+
+    searchIndexes = Promise.all([
+      db.collection("blogrollBlogs").createIndex(
+        { title: "text", description: "text", tags: "text" },
+        {
+          ...textOptions,
+          name: "blogroll_blog_search",
+          weights: { title: 10, tags: 5, description: 2 },
+        }
+      ),
+      db.collection("blogrollItems").createIndex(
+        { title: "text", summary: "text", "content.text": "text" },
+        {
+          ...textOptions,
+          name: "blogroll_item_search",
+          weights: { title: 10, summary: 3, "content.text": 1 },
+        }
+      ),
+    ])
+      .then(() => {})
+      .catch((error) => {
+        console.error("[Blogroll] Failed to create search indexes:", error.message);
+        searchIndexes = null;
+      });
+  }
+
+  return searchIndexes;
+}
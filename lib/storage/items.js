@@ -8,7 +8,45 @@
  */
 
 import { ObjectId } from "mongodb";
-import { getMicrosubItemsForBlog } from "../sync/microsub.js";
+import { getMicrosubItemsForBlog, getMicrosubItemsForBlogs } from "../sync/microsub.js";
+import { ensureSearchIndexes } from "./indexes.js";
+import { parseSearchTerms, scoreTextMatch } from "../utils/search.js";
+
+// Default item retention in days, matching the index.js default
+const DEFAULT_MAX_ITEM_AGE = 30;
+
+// Per-blog retention modes; blogs without one follow maxItemAge
+export const RETENTION_MODES = ["forever", "days", "count"];
+
+/**
+ * Get the configured item retention in days
+ * The single source of truth for maxItemAge: cleanup, counts and the TTL
+ * index all read it from the plugin config.
+ * @param {object} application - Application instance
+ * @returns {number} Retention in days
+ */
+export function getMaxItemAge(application) {
+  return application.blogrollConfig?.maxItemAge ?? DEFAULT_MAX_ITEM_AGE;
+}
+
+/**
+ * Get the date a number of days ago
+ * @param {number} days - Days
+ * @returns {Date} Date
+ */
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Whether a blog's items are served from microsub_items
+ * Microsub blogs whose feed couldn't be linked are fetched like any other.
+ * @param {object} blog - Blog document
+ * @returns {boolean} True for linked Microsub blogs
+ */
+export function isMicrosubReference(blog) {
+  return blog?.source === "microsub" && Boolean(blog.microsubFeedId);
+}
 
 /**
  * Get collection reference
@@ -20,88 +58,147 @@ function getCollection(application) {
   return db.collection("blogrollItems");
 }
 
+// Search weights for Microsub items, mirroring the blogrollItems text index
+const MICROSUB_SEARCH_WEIGHTS = { title: 10, summary: 3, "content.text": 1 };
+
+/**
+ * Encode a pagination cursor for the position after an item
+ * Undated items sort after every dated one; their cursors carry a null date.
+ * @param {object} item - Last item of a page
+ * @returns {string} Opaque cursor token
+ */
+export function encodeItemCursor(item) {
+  const published = item.published ? new Date(item.published).toISOString() : null;
+  return Buffer.from(JSON.stringify({ p: published, i: String(item._id) })).toString(
+    "base64url"
+  );
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor token from encodeItemCursor
+ * @returns {object|null} `{ published, id }` (published null for undated items), or null if invalid
+ */
+export function decodeItemCursor(cursor) {
+  if (!cursor || typeof cursor !== "string") return null;
+
+  try {
+    const { p, i } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if ((p !== null && typeof p !== "string") || !ObjectId.isValid(i)) return null;
+    return { published: p || null, id: new ObjectId(i) };
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Get items with optional filtering
  * Combines items from blogrollItems (regular blogs) and microsub_items (Microsub blogs)
+ * Items are ordered newest first (published, then _id) and paginated with
+ * `cursor`, taken from the previous page's `nextCursor`. Each source is
+ * queried for at most one page, and the two pages are merged.
+ * With a search query `q`, items are ranked by relevance instead, and
+ * paginated with `offset` (cursors don't apply to relevance order).
  * @param {object} application - Application instance
  * @param {object} options - Query options
- * @returns {Promise<Array>} Items with blog info
+ * @returns {Promise<object>} Items with blog info, hasMore and nextCursor
  */
 export async function getItems(application, options = {}) {
   const db = application.getBlogrollDb();
-  const { blogId, category, limit = 50, offset = 0 } = options;
-
-  // If requesting items for a specific blog, check if it's a Microsub blog
-  if (blogId) {
-    const blog = await db.collection("blogrollBlogs").findOne({ _id: new ObjectId(blogId) });
-    if (blog?.source === "microsub" && blog.microsubFeedId) {
-      const microsubItems = await getMicrosubItemsForBlog(application, blog, limit + 1);
-      const itemsWithBlog = microsubItems.map((item) => ({ ...item, blog }));
-      const hasMore = itemsWithBlog.length > limit;
-      if (hasMore) itemsWithBlog.pop();
-      return { items: itemsWithBlog, hasMore };
-    }
-  }
-
-  // Get regular items from blogrollItems
-  const regularPipeline = [
-    { $sort: { published: -1 } },
-    {
-      $lookup: {
-        from: "blogrollBlogs",
-        localField: "blogId",
-        foreignField: "_id",
-        as: "blog",
-      },
-    },
-    { $unwind: "$blog" },
-    // Exclude hidden blogs and Microsub blogs (their items come from microsub_items)
-    { $match: { "blog.hidden": { $ne: true }, "blog.source": { $ne: "microsub" } } },
-  ];
-
-  if (blogId) {
-    regularPipeline.unshift({ $match: { blogId: new ObjectId(blogId) } });
-  }
-
-  if (category) {
-    regularPipeline.push({ $match: { "blog.category": category } });
-  }
+  const { blogId, category, q, cursor, limit = 50, offset = 0 } = options;
+  const terms = parseSearchTerms(q);
+  const searching = terms.length > 0;
+  const position = searching ? null : decodeItemCursor(cursor);
+
+  // A cursor replaces offset; without one, offset is still honoured
+  const skip = position ? 0 : offset;
+  const fetchLimit = skip + limit + 1;
+
+  // Visible blogs in scope, split by where their items are stored
+  const blogQuery = { hidden: { $ne: true } };
+  if (blogId) blogQuery._id = new ObjectId(blogId);
+  if (category) blogQuery.category = category;
+  const blogs = await db.collection("blogrollBlogs").find(blogQuery).toArray();
+  const blogsById = new Map(blogs.map((blog) => [blog._id.toString(), blog]));
+
+  const microsubBlogs = blogs.filter(isMicrosubReference);
+  const regularBlogIds = blogs.filter((b) => !isMicrosubReference(b)).map((b) => b._id);
+
+  const [regularItems, microsubItems] = await Promise.all([
+    regularBlogIds.length > 0
+      ? findRegularItems(application, regularBlogIds, { q, searching, position, limit: fetchLimit })
+      : [],
+    // Search ranking happens after the query, so Microsub search results are
+    // the newest matches rather than the most relevant ones
+    getMicrosubItemsForBlogs(application, microsubBlogs, fetchLimit, { q, before: position }),
+  ]);
+
+  const allItems = [
+    ...regularItems,
+    ...microsubItems.map((item) =>
+      searching ? { ...item, score: scoreTextMatch(item, MICROSUB_SEARCH_WEIGHTS, terms) } : item
+    ),
+  ].map((item) => ({ ...item, blog: blogsById.get(item.blogId.toString()) }));
+
+  // Merge by relevance when searching, then newest first
+  allItems.sort((a, b) => {
+    if (searching && a.score !== b.score) return b.score - a.score;
+    const dateA = a.published ? new Date(a.published) : new Date(0);
+    const dateB = b.published ? new Date(b.published) : new Date(0);
+    if (dateB - dateA !== 0) return dateB - dateA;
+    return String(b._id).localeCompare(String(a._id));
+  });
 
-  const regularItems = await db.collection("blogrollItems").aggregate(regularPipeline).toArray();
+  const pageItems = allItems.slice(skip, skip + limit + 1);
+  const hasMore = pageItems.length > limit;
+  if (hasMore) pageItems.pop();
 
-  // Get items from Microsub-sourced blogs
-  const microsubBlogsQuery = {
-    source: "microsub",
-    hidden: { $ne: true },
+  return {
+    items: pageItems,
+    hasMore,
+    nextCursor: hasMore && !searching ? encodeItemCursor(pageItems.at(-1)) : null,
   };
-  if (category) {
-    microsubBlogsQuery.category = category;
-  }
-
-  const microsubBlogs = await db.collection("blogrollBlogs").find(microsubBlogsQuery).toArray();
+}
 
-  let microsubItems = [];
-  for (const blog of microsubBlogs) {
-    if (blog.microsubFeedId) {
-      const items = await getMicrosubItemsForBlog(application, blog, 100);
-      microsubItems.push(...items.map((item) => ({ ...item, blog })));
-    }
+/**
+ * Query blogrollItems for one page of getItems
+ * @param {object} application - Application instance
+ * @param {Array<ObjectId>} blogIds - Blogs to include
+ * @param {object} options - Options
+ * @param {string} options.q - Search query
+ * @param {boolean} options.searching - Whether q has search terms
+ * @param {object|null} options.position - Decoded cursor
+ * @param {number} options.limit - Max items
+ * @returns {Promise<Array>} Items
+ */
+async function findRegularItems(application, blogIds, { q, searching, position, limit }) {
+  const collection = getCollection(application);
+  const query = { blogId: blogIds.length === 1 ? blogIds[0] : { $in: blogIds } };
+
+  if (searching) {
+    await ensureSearchIndexes(application);
+    query.$text = { $search: q };
+    return collection
+      .find(query)
+      .project({ score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, published: -1, _id: -1 })
+      .limit(limit)
+      .toArray();
   }
 
-  // Combine and sort all items by published date
-  const allItems = [...regularItems, ...microsubItems];
-  allItems.sort((a, b) => {
-    const dateA = a.published ? new Date(a.published) : new Date(0);
-    const dateB = b.published ? new Date(b.published) : new Date(0);
-    return dateB - dateA;
-  });
-
-  // Apply pagination
-  const paginatedItems = allItems.slice(offset, offset + limit + 1);
-  const hasMore = paginatedItems.length > limit;
-  if (hasMore) paginatedItems.pop();
+  if (position?.published === null) {
+    query.published = null;
+    query._id = { $lt: position.id };
+  } else if (position) {
+    query.$or = [
+      { published: { $lt: position.published } },
+      { published: position.published, _id: { $lt: position.id } },
+      // Undated items come after all dated ones
+      { published: null },
+    ];
+  }
 
-  return { items: paginatedItems, hasMore };
+  return collection.find(query).sort({ published: -1, _id: -1 }).limit(limit).toArray();
 }
 
 /**
@@ -123,7 +220,7 @@ export async function getItemsForBlog(application, blogId, limit = 20, blog = nu
   }
 
   // For Microsub-sourced blogs, query microsub_items directly
-  if (blog?.source === "microsub" && blog.microsubFeedId) {
+  if (isMicrosubReference(blog)) {
     return getMicrosubItemsForBlog(application, blog, limit);
   }
 
@@ -136,12 +233,68 @@ export async function getItemsForBlog(application, blogId, limit = 20, blog = nu
     .toArray();
 }
 
-// Retention period for item counts (match Microsub retention)
-const ITEM_RETENTION_DAYS = 30;
+/**
+ * Get published dates of a blog's most recent items
+ * Used to estimate how often a blog posts
+ * @param {object} application - Application instance
+ * @param {string|ObjectId} blogId - Blog ID
+ * @param {number} limit - Max dates
+ * @returns {Promise<Array>} Published dates, newest first
+ */
+export async function getRecentPublishedDates(application, blogId, limit = 10) {
+  const collection = getCollection(application);
+  const objectId = typeof blogId === "string" ? new ObjectId(blogId) : blogId;
+
+  const items = await collection
+    .find({ blogId: objectId, published: { $ne: null } })
+    .project({ published: 1 })
+    .sort({ published: -1 })
+    .limit(limit)
+    .toArray();
+
+  return items.map((item) => item.published);
+}
+
+/**
+ * Get the latest published item of each blog
+ * Items dated in the future are skipped.
+ * @param {object} application - Application instance
+ * @param {Array} blogs - Blog documents
+ * @returns {Promise<Map>} Latest item keyed by blog ID string
+ */
+export async function getLatestItems(application, blogs) {
+  const latest = new Map();
+  const now = new Date().toISOString();
+
+  const regularIds = blogs.filter((b) => !isMicrosubReference(b)).map((b) => b._id);
+  if (regularIds.length > 0) {
+    const items = await getCollection(application)
+      .aggregate([
+        { $match: { blogId: { $in: regularIds }, published: { $lte: now } } },
+        { $sort: { published: -1 } },
+        { $group: { _id: "$blogId", item: { $first: "$$ROOT" } } },
+      ])
+      .toArray();
+    for (const { _id, item } of items) latest.set(_id.toString(), item);
+  }
+
+  // Microsub items live in microsub_items, one lookup per blog
+  for (const blog of blogs) {
+    if (isMicrosubReference(blog)) {
+      const items = await getMicrosubItemsForBlog(application, blog, 5);
+      const item = items.find((i) => !i.published || new Date(i.published) <= new Date(now));
+      if (item) latest.set(blog._id.toString(), item);
+    }
+  }
+
+  return latest;
+}
 
 /**
  * Count items (including Microsub items)
- * Only counts items within the retention period
+ * Stored items are already trimmed to their retention, so all of them are
+ * counted. Microsub keeps its own items, so only those within maxItemAge
+ * are counted.
  * @param {object} application - Application instance
  * @param {object} options - Query options
  * @returns {Promise<number>} Count
@@ -149,12 +302,7 @@ const ITEM_RETENTION_DAYS = 30;
 export async function countItems(application, options = {}) {
   const db = application.getBlogrollDb();
 
-  // Calculate cutoff date for counting
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - ITEM_RETENTION_DAYS);
-
-  // Count regular items (within retention period)
-  const regularQuery = { published: { $gte: cutoffDate } };
+  const regularQuery = {};
   if (options.blogId) {
     regularQuery.blogId = new ObjectId(options.blogId);
   }
@@ -165,13 +313,22 @@ export async function countItems(application, options = {}) {
   const itemsCollection = application.collections?.get("microsub_items");
 
   if (itemsCollection) {
+    // Microsub may store published as a Date or a string
+    const cutoff = daysAgo(getMaxItemAge(application));
+    const recent = {
+      $or: [
+        { published: { $gte: cutoff } },
+        { published: { $gte: cutoff.toISOString() } },
+      ],
+    };
+
     if (options.blogId) {
       // Count for specific blog
       const blog = await db.collection("blogrollBlogs").findOne({ _id: new ObjectId(options.blogId) });
-      if (blog?.source === "microsub" && blog.microsubFeedId) {
+      if (isMicrosubReference(blog)) {
         microsubCount = await itemsCollection.countDocuments({
           feedId: new ObjectId(blog.microsubFeedId),
-          published: { $gte: cutoffDate },
+          ...recent,
         });
       }
     } else {
@@ -189,7 +346,7 @@ export async function countItems(application, options = {}) {
       if (feedIds.length > 0) {
         microsubCount = await itemsCollection.countDocuments({
           feedId: { $in: feedIds },
-          published: { $gte: cutoffDate },
+          ...recent,
         });
       }
     }
@@ -198,31 +355,68 @@ export async function countItems(application, options = {}) {
   return regularCount + microsubCount;
 }
 
+/**
+ * Get items of a blog whose article page has already been fetched
+ * @param {object} application - Application instance
+ * @param {ObjectId} blogId - Blog ID
+ * @param {Array<string>} uids - Item UIDs
+ * @returns {Promise<Map<string, boolean>>} Whether extraction succeeded, by UID
+ */
+export async function getExtractedItems(application, blogId, uids) {
+  const items = await getCollection(application)
+    .find({ blogId, uid: { $in: uids }, extractedAt: { $ne: null } })
+    .project({ uid: 1, fullContent: 1 })
+    .toArray();
+
+  return new Map(items.map((item) => [item.uid, Boolean(item.fullContent)]));
+}
+
 /**
  * Upsert an item
+ * Two concurrent upserts of a new item can both try to insert it; the
+ * unique { blogId, uid } index rejects one, which is then retried as an
+ * update.
  * @param {object} application - Application instance
  * @param {object} data - Item data
+ * @param {boolean} [data.keepContent] - Keep the stored (extracted) content
+ * @param {string} [data.extractedAt] - When the article page was fetched
+ * @param {boolean} [data.fullContent] - Whether the content was extracted
  * @returns {Promise<object>} Result with upserted flag
  */
 export async function upsertItem(application, data) {
   const collection = getCollection(application);
   const now = new Date().toISOString();
 
-  const result = await collection.updateOne(
+  const fields = {
+    url: data.url,
+    title: data.title,
+    summary: data.summary,
+    published: data.published,
+    // Date copy of published for the optional TTL index
+    publishedAt: data.published && data.expires !== false ? new Date(data.published) : null,
+    updated: data.updated,
+    author: data.author,
+    photo: data.photo,
+    enclosures: data.enclosures || [],
+    podcast: data.podcast || null,
+    categories: data.categories || [],
+    fetchedAt: now,
+  };
+
+  // Content extracted from the article page outlives feed updates
+  if (!data.keepContent) {
+    fields.content = data.content;
+  }
+
+  if (data.extractedAt) {
+    fields.fullContent = Boolean(data.fullContent);
+    fields.extractedAt = data.extractedAt;
+  }
+
+  const upsert = () => collection.updateOne(
     { blogId: new ObjectId(data.blogId), uid: data.uid },
     {
-      $set: {
-        url: data.url,
-        title: data.title,
-        content: data.content,
-        summary: data.summary,
-        published: data.published,
-        updated: data.updated,
-        author: data.author,
-        photo: data.photo,
-        categories: data.categories || [],
-        fetchedAt: now,
-      },
+      $set: fields,
       $setOnInsert: {
         blogId: new ObjectId(data.blogId),
         uid: data.uid,
@@ -231,6 +425,14 @@ export async function upsertItem(application, data) {
     { upsert: true }
   );
 
+  let result;
+  try {
+    result = await upsert();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    result = await upsert();
+  }
+
   return {
     upserted: result.upsertedCount > 0,
     modified: result.modifiedCount > 0,
@@ -252,25 +454,117 @@ export async function deleteItemsForBlog(application, blogId) {
 }
 
 /**
- * Delete old items beyond retention period
- * This encourages discovery by showing only recent content
+ * Delete items beyond their retention
+ * This encourages discovery by showing only recent content. Items are kept
+ * for maxItemAge days, unless their blog has its own `retention`:
+ * `{ mode: "forever" }`, `{ mode: "days", value }` or `{ mode: "count", value }`.
  * @param {object} application - Application instance
- * @param {number} maxAgeDays - Max age in days (default 7)
+ * @param {number} [maxAgeDays] - Default retention in days (see getMaxItemAge)
+ * @param {object} [options] - Options
+ * @param {boolean} [options.overridesOnly] - Only apply per-blog retention,
+ *   e.g. when a TTL index already enforces maxItemAge
  * @returns {Promise<number>} Deleted count
  */
-export async function deleteOldItems(application, maxAgeDays = 7) {
+export async function deleteOldItems(
+  application,
+  maxAgeDays = getMaxItemAge(application),
+  options = {}
+) {
   const collection = getCollection(application);
-  const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
+  const overrides = await application
+    .getBlogrollDb()
+    .collection("blogrollBlogs")
+    .find({ "retention.mode": { $in: RETENTION_MODES } })
+    .project({ retention: 1 })
+    .toArray();
 
-  const result = await collection.deleteMany({
-    published: { $lt: cutoff },
-  });
+  let deleted = 0;
 
-  if (result.deletedCount > 0) {
-    console.log(`[Blogroll] Cleaned up ${result.deletedCount} items older than ${maxAgeDays} days`);
+  if (!options.overridesOnly) {
+    const result = await collection.deleteMany({
+      published: { $lt: daysAgo(maxAgeDays).toISOString() },
+      blogId: { $nin: overrides.map((blog) => blog._id) },
+    });
+    deleted += result.deletedCount;
   }
 
-  return result.deletedCount;
+  for (const blog of overrides) {
+    deleted += await applyBlogRetention(collection, blog);
+  }
+
+  if (deleted > 0) {
+    console.log(`[Blogroll] Cleaned up ${deleted} items past their retention`);
+  }
+
+  return deleted;
+}
+
+/**
+ * Delete a blog's items beyond its own retention
+ * @param {Collection} collection - blogrollItems collection
+ * @param {object} blog - Blog with a retention override
+ * @returns {Promise<number>} Deleted count
+ */
+async function applyBlogRetention(collection, blog) {
+  const { mode, value } = blog.retention;
+
+  if (mode === "days") {
+    const result = await collection.deleteMany({
+      blogId: blog._id,
+      published: { $lt: daysAgo(value).toISOString() },
+    });
+    return result.deletedCount;
+  }
+
+  if (mode === "count") {
+    // Delete everything after the newest `value` items
+    const [boundary] = await collection
+      .find({ blogId: blog._id })
+      .sort({ published: -1, _id: -1 })
+      .skip(value)
+      .limit(1)
+      .project({ published: 1 })
+      .toArray();
+    if (!boundary) return 0;
+
+    const result = await collection.deleteMany({
+      blogId: blog._id,
+      $or: [
+        { published: { $lt: boundary.published } },
+        { published: boundary.published, _id: { $lte: boundary._id } },
+      ],
+    });
+    return result.deletedCount;
+  }
+
+  return 0;
+}
+
+/**
+ * Include or exempt a blog's items from the TTL index
+ * Called when a blog switches between default and custom retention.
+ * @param {object} application - Application instance
+ * @param {string|ObjectId} blogId - Blog ID
+ * @param {boolean} expires - Whether items follow maxItemAge
+ * @returns {Promise<void>}
+ */
+export async function setItemsExpiry(application, blogId, expires) {
+  const objectId = typeof blogId === "string" ? new ObjectId(blogId) : blogId;
+
+  await getCollection(application).updateMany(
+    { blogId: objectId },
+    expires
+      ? [
+          {
+            $set: {
+              publishedAt: {
+                $convert: { input: "$published", to: "date", onError: null, onNull: null },
+              },
+            },
+          },
+        ]
+      : { $set: { publishedAt: null } }
+  );
 }
 
 /**
@@ -0,0 +1,146 @@
+/**
+ * Schema migrations
+ * Each migration upgrades stored documents from the previous shape. The
+ * applied version is recorded in blogrollMeta under `schemaVersion`, and
+ * pending migrations run in order at startup, before background sync.
+ * Migrations must be safe to re-run, in case one fails part way.
+ * @module storage/migrations
+ */
+
+import { findMicrosubFeedLink } from "../sync/microsub.js";
+import { parseOpml } from "../sync/opml.js";
+import { saveSourceUpload } from "./uploads.js";
+
+// Format of Date#toISOString, used when converting stored Dates
+const ISO_FORMAT = "%Y-%m-%dT%H:%M:%S.%LZ";
+
+/**
+ * Migrations, in order. Append new ones; never renumber or edit applied ones.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Normalize microsub-webhook blogs to the microsub source",
+    async up(application) {
+      const blogs = application.getBlogrollDb().collection("blogrollBlogs");
+      const webhookBlogs = await blogs.find({ source: "microsub-webhook" }).toArray();
+
+      for (const blog of webhookBlogs) {
+        // Blogs whose Microsub feed can't be found keep being fetched directly
+        const link = await findMicrosubFeedLink(application, blog.feedUrl);
+        await blogs.updateOne(
+          { _id: blog._id },
+          { $set: { source: "microsub", ...link, updatedAt: new Date().toISOString() } }
+        );
+      }
+    },
+  },
+  {
+    version: 2,
+    description: "Store lastSyncAt and lastFullSync as ISO strings",
+    async up(application) {
+      const db = application.getBlogrollDb();
+
+      await db.collection("blogrollSources").updateMany({ lastSyncAt: { $type: "date" } }, [
+        { $set: { lastSyncAt: { $dateToString: { date: "$lastSyncAt", format: ISO_FORMAT } } } },
+      ]);
+
+      await db.collection("blogrollMeta").updateMany({ lastFullSync: { $type: "date" } }, [
+        {
+          $set: {
+            lastFullSync: { $dateToString: { date: "$lastFullSync", format: ISO_FORMAT } },
+          },
+        },
+      ]);
+    },
+  },
+  {
+    version: 3,
+    description: "Move pasted OPML out of source documents into blogrollUploads",
+    async up(application) {
+      const sources = application.getBlogrollDb().collection("blogrollSources");
+      const pasted = await sources.find({ opmlContent: { $exists: true } }).toArray();
+
+      for (const source of pasted) {
+        let opmlFile = null;
+
+        if (source.opmlContent) {
+          const upload = { filename: "pasted.opml", encoding: "utf-8", content: source.opmlContent };
+          await saveSourceUpload(application, source._id, upload);
+
+          // Unparseable content is moved too; syncs keep reporting its error
+          const feeds = await parseOpml(source.opmlContent).then(
+            (blogs) => blogs.length,
+            () => null
+          );
+          opmlFile = {
+            filename: upload.filename,
+            size: Buffer.byteLength(upload.content),
+            encoding: upload.encoding,
+            feeds,
+            uploadedAt: source.createdAt || new Date().toISOString(),
+          };
+        }
+
+        await sources.updateOne(
+          { _id: source._id },
+          { $set: { opmlFile }, $unset: { opmlContent: "" } }
+        );
+      }
+    },
+  },
+];
+
+/**
+ * Get the applied schema version
+ * @param {object} application - Application instance
+ * @returns {Promise<number>} Version (0 if no migration has run)
+ */
+export async function getSchemaVersion(application) {
+  const meta = await application
+    .getBlogrollDb()
+    .collection("blogrollMeta")
+    .findOne({ key: "schemaVersion" });
+  return meta?.version || 0;
+}
+
+/**
+ * Run pending migrations
+ * Stops at the first failure, leaving the version at the last migration
+ * that succeeded so it is retried on next startup.
+ * @param {object} application - Application instance
+ * @returns {Promise<object>} Result with from/to versions
+ */
+export async function runMigrations(application) {
+  const meta = application.getBlogrollDb().collection("blogrollMeta");
+
+  let from;
+  try {
+    from = await getSchemaVersion(application);
+  } catch (error) {
+    console.error("[Blogroll] Could not read schema version:", error.message);
+    return { success: false, error: error.message };
+  }
+  let version = from;
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) continue;
+
+    try {
+      console.log(`[Blogroll] Running migration ${migration.version}: ${migration.description}`);
+      await migration.up(application);
+    } catch (error) {
+      console.error(`[Blogroll] Migration ${migration.version} failed:`, error.message);
+      return { success: false, from, to: version, error: error.message };
+    }
+
+    version = migration.version;
+    await meta.updateOne(
+      { key: "schemaVersion" },
+      { $set: { key: "schemaVersion", version, migratedAt: new Date().toISOString() } },
+      { upsert: true }
+    );
+  }
+
+  return { success: true, from, to: version };
+}
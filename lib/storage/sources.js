@@ -4,6 +4,7 @@
  */
 
 import { ObjectId } from "mongodb";
+import { deleteSourceUpload } from "./uploads.js";
 
 /**
  * Get collection reference
@@ -48,10 +49,12 @@ export async function createSource(application, data) {
   const now = new Date().toISOString();
 
   const source = {
-    type: data.type, // "opml_url" | "opml_file" | "manual" | "json_feed" | "microsub" | "feedland"
+    type: data.type, // "opml_url" | "opml_file" | "manual" | "json_feed" | "microsub" | "feedland" | a READER_EXPORTS type
     name: data.name,
     url: data.url || null,
-    opmlContent: data.opmlContent || null,
+    // Uploaded OPML file or reader export: { filename, size, encoding, feeds, uploadedAt }.
+    // The contents live in blogrollUploads.
+    opmlFile: data.opmlFile || null,
     // Microsub-specific fields
     channelFilter: data.channelFilter || null,
     categoryPrefix: data.categoryPrefix || "",
@@ -59,6 +62,14 @@ export async function createSource(application, data) {
     feedlandInstance: data.feedlandInstance || null,
     feedlandUsername: data.feedlandUsername || null,
     feedlandCategory: data.feedlandCategory || null,
+    // OPML and reader export folders: "path" (category "Tech/JavaScript") | "tags" (top folder + tags)
+    folderMode: data.folderMode || "path",
+    // Blogs no longer listed upstream: "keep" | "hide" | "delete"
+    orphanAction: data.orphanAction || "keep",
+    // Feed URLs deselected in the import review, never imported
+    excludedFeeds: data.excludedFeeds || [],
+    // Not synced until its first import is reviewed
+    awaitingReview: data.awaitingReview || false,
     enabled: data.enabled !== false,
     syncInterval: data.syncInterval || 60, // minutes
     lastSyncAt: null,
@@ -123,6 +134,9 @@ export async function deleteSource(application, id) {
   // Delete blogs from this source
   await db.collection("blogrollBlogs").deleteMany({ sourceId: objectId });
 
+  // Delete its uploaded file
+  await deleteSourceUpload(application, objectId);
+
   // Delete the source
   const result = await db.collection("blogrollSources").deleteOne({ _id: objectId });
   return result.deletedCount > 0;
@@ -164,13 +178,14 @@ export async function getSourcesDueForSync(application) {
   return collection
     .find({
       enabled: true,
+      awaitingReview: { $ne: true },
       type: { $in: ["opml_url", "json_feed", "microsub", "feedland"] },
       $or: [
         { lastSyncAt: null },
         {
           $expr: {
             $lt: [
-              "$lastSyncAt",
+              { $toDate: "$lastSyncAt" },
               { $subtract: [now, { $multiply: ["$syncInterval", 60000] }] },
             ],
           },
@@ -0,0 +1,71 @@
+/**
+ * Uploaded source file storage
+ * OPML files uploaded for `opml_file` sources are kept apart from the
+ * source documents, so listing sources never loads whole exports.
+ * @module storage/uploads
+ */
+
+import { ObjectId } from "mongodb";
+
+/**
+ * Get collection reference
+ * @param {object} application - Application instance
+ * @returns {Collection} MongoDB collection
+ */
+function getCollection(application) {
+  const db = application.getBlogrollDb();
+  return db.collection("blogrollUploads");
+}
+
+/**
+ * Store the file uploaded for a source, replacing any previous one
+ * @param {object} application - Application instance
+ * @param {string|ObjectId} sourceId - Source ID
+ * @param {object} upload - Upload
+ * @param {string} upload.filename - Original file name
+ * @param {string} upload.encoding - Encoding the file was decoded from
+ * @param {string} upload.content - Decoded file contents
+ * @returns {Promise<void>}
+ */
+export async function saveSourceUpload(application, sourceId, upload) {
+  const collection = getCollection(application);
+  const objectId = typeof sourceId === "string" ? new ObjectId(sourceId) : sourceId;
+
+  await collection.updateOne(
+    { sourceId: objectId },
+    {
+      $set: {
+        sourceId: objectId,
+        filename: upload.filename,
+        encoding: upload.encoding,
+        content: upload.content,
+        uploadedAt: new Date().toISOString(),
+      },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Get the file uploaded for a source
+ * @param {object} application - Application instance
+ * @param {string|ObjectId} sourceId - Source ID
+ * @returns {Promise<object|null>} Upload or null
+ */
+export async function getSourceUpload(application, sourceId) {
+  const collection = getCollection(application);
+  const objectId = typeof sourceId === "string" ? new ObjectId(sourceId) : sourceId;
+  return collection.findOne({ sourceId: objectId });
+}
+
+/**
+ * Delete the file uploaded for a source
+ * @param {object} application - Application instance
+ * @param {string|ObjectId} sourceId - Source ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSourceUpload(application, sourceId) {
+  const collection = getCollection(application);
+  const objectId = typeof sourceId === "string" ? new ObjectId(sourceId) : sourceId;
+  await collection.deleteOne({ sourceId: objectId });
+}
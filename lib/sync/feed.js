@@ -5,73 +5,157 @@
 
 import { Readable } from "node:stream";
 import FeedParser from "feedparser";
-import sanitizeHtml from "sanitize-html";
 import crypto from "node:crypto";
 
-import { upsertItem } from "../storage/items.js";
-import { updateBlogStatus } from "../storage/blogs.js";
-
-const SANITIZE_OPTIONS = {
-  allowedTags: [
-    "a",
-    "b",
-    "i",
-    "em",
-    "strong",
-    "p",
-    "br",
-    "ul",
-    "ol",
-    "li",
-    "blockquote",
-    "code",
-    "pre",
-  ],
-  allowedAttributes: { a: ["href"] },
-};
+import { getExtractedItems, upsertItem } from "../storage/items.js";
+import { updateBlogStatus, moveBlogFeedUrl } from "../storage/blogs.js";
+import {
+  computeFailureBackoff,
+  computeNextFetchAt,
+  parseFeedRefreshHints,
+  parseHttpRefreshHints,
+} from "./refresh.js";
+import { discoverFeeds } from "../utils/feed-discovery.js";
+import { extractArticle } from "../utils/readability.js";
+import { sanitizeContent } from "../utils/sanitize.js";
+import { ensureWebSubSubscription, isWebSubActive } from "./websub.js";
+
+// Redirect statuses followed manually, so permanent moves can be detected
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const PERMANENT_REDIRECT_STATUSES = new Set([301, 308]);
+const MAX_REDIRECTS = 5;
+
+// Article pages fetched per blog and sync; the rest wait for the next run
+const MAX_EXTRACTIONS_PER_SYNC = 10;
+
+// Article pages larger than this are not parsed
+const MAX_ARTICLE_BYTES = 2 * 1024 * 1024;
+
+// Latest items shown when previewing a feed
+const PREVIEW_ITEMS = 5;
 
 /**
  * Fetch and parse a blog feed
+ * Sends conditional request headers when cache validators are provided.
+ * A 304 response resolves to `{ notModified: true }` without a body.
+ * Redirects are followed manually; when every hop is permanent (301/308)
+ * the result includes `movedTo` with the feed's new URL.
  * @param {string} url - Feed URL
  * @param {object} options - Options
- * @returns {Promise<object>} Parsed feed with items
+ * @param {number} [options.timeout] - Fetch timeout in ms
+ * @param {number} [options.maxItems] - Max items to parse
+ * @param {string} [options.etag] - ETag from the previous fetch
+ * @param {string} [options.lastModified] - Last-Modified from the previous fetch
+ * @param {string} [options.uidBase] - URL item UIDs are derived from (defaults to url)
+ * @param {string|object} [options.sanitizeProfile] - Sanitization profile for item content
+ * @returns {Promise<object>} Parsed feed with items and cache validators
  */
 export async function fetchAndParseFeed(url, options = {}) {
-  const { timeout = 15000, maxItems = 50 } = options;
+  const {
+    timeout = 15000,
+    maxItems = 50,
+    etag,
+    lastModified,
+    uidBase = url,
+    sanitizeProfile,
+  } = options;
 
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeout);
 
+  const headers = {
+    "User-Agent": "Indiekit-Blogroll/1.0",
+    Accept:
+      "application/atom+xml, application/rss+xml, application/json, application/feed+json, */*",
+  };
+  if (etag) headers["If-None-Match"] = etag;
+  if (lastModified) headers["If-Modified-Since"] = lastModified;
+
   try {
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        "User-Agent": "Indiekit-Blogroll/1.0",
-        Accept:
-          "application/atom+xml, application/rss+xml, application/json, application/feed+json, */*",
-      },
-    });
+    let response;
+    let currentUrl = url;
+    let permanentUrl = url;
+    let permanent = true;
+
+    for (let redirects = 0; ; redirects++) {
+      response = await fetch(currentUrl, {
+        signal: controller.signal,
+        headers,
+        redirect: "manual",
+      });
+
+      const location = response.headers.get("Location");
+      if (!REDIRECT_STATUSES.has(response.status) || !location) break;
+
+      await response.body?.cancel();
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error("Too many redirects");
+      }
+
+      currentUrl = new URL(location, currentUrl).href;
+
+      // Only an unbroken chain of permanent redirects moves the feed
+      permanent = permanent && PERMANENT_REDIRECT_STATUSES.has(response.status);
+      if (permanent) permanentUrl = currentUrl;
+    }
 
     clearTimeout(timeoutId);
 
+    const movedTo = permanentUrl === url ? undefined : permanentUrl;
+
+    const httpHints = parseHttpRefreshHints(response.headers);
+
+    if (response.status === 304) {
+      // Servers may refresh validators on 304, otherwise keep the previous ones
+      return {
+        notModified: true,
+        etag: response.headers.get("ETag") || etag || null,
+        lastModified: response.headers.get("Last-Modified") || lastModified || null,
+        refreshHints: httpHints,
+        movedTo,
+      };
+    }
+
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+      const error = new Error(`HTTP ${response.status}`);
+      error.status = response.status;
+      error.retryAfter = httpHints.retryAfter;
+      throw error;
     }
 
     const content = await response.text();
     const contentType = response.headers.get("Content-Type") || "";
 
-    // Check for JSON Feed
-    if (contentType.includes("json") || content.trim().startsWith("{")) {
-      try {
-        return parseJsonFeed(content, url, maxItems);
-      } catch {
-        // Not valid JSON, try XML
-      }
+    // Cache validators for the next conditional request
+    const validators = {
+      etag: response.headers.get("ETag") || null,
+      lastModified: response.headers.get("Last-Modified") || null,
+    };
+
+    let feed;
+    try {
+      feed = await parseFeed(content, {
+        contentType,
+        feedUrl: currentUrl,
+        maxItems,
+        uidBase,
+        sanitizeProfile,
+      });
+    } catch (error) {
+      throw invalidFeedError(error, contentType);
     }
 
-    // Parse as RSS/Atom
-    return parseXmlFeed(content, url, maxItems);
+    // WebSub hub and topic: Link headers take precedence over the feed
+    const links = parseLinkHeader(response.headers.get("Link"));
+    const hub = links.hub || feed.hub;
+
+    return {
+      ...feed,
+      ...validators,
+      refreshHints: { ...feed.refreshHints, ...httpHints },
+      websub: hub ? { hub, topic: links.self || feed.self || currentUrl } : null,
+      movedTo,
+    };
   } catch (error) {
     clearTimeout(timeoutId);
     if (error.name === "AbortError") {
@@ -81,14 +165,190 @@ export async function fetchAndParseFeed(url, options = {}) {
   }
 }
 
+/**
+ * Preview a feed before adding it as a blog
+ * A URL that isn't a feed is treated as a website: its advertised feeds are
+ * discovered and the first one previewed, with the others listed in `feeds`.
+ * @param {string} url - Feed or website URL
+ * @param {object} [options] - Options
+ * @param {number} [options.timeout] - Fetch timeout in ms
+ * @param {boolean} [options.discover] - Look for feeds when the URL isn't one
+ * @param {boolean} [options.keepFeed] - Include the parsed feed as `feed`, so
+ *   the first sync of a blog added from the preview can store it
+ * @param {number} [options.maxItems] - Max items parsed for a kept feed
+ * @param {string|object} [options.sanitizeProfile] - Sanitization profile for a kept feed
+ * @returns {Promise<object>} { success, feedUrl, feedType, title, siteUrl, photo, items, feeds } or { success: false, error }
+ */
+export async function previewFeed(url, options = {}) {
+  const { timeout = 15000, discover = true, keepFeed = false, maxItems, sanitizeProfile } = options;
+  const fetchOptions = { timeout, keepFeed, maxItems, sanitizeProfile };
+
+  let feedUrl = url.trim();
+  if (!/^https?:\/\//i.test(feedUrl)) {
+    feedUrl = `https://${feedUrl}`;
+  }
+
+  try {
+    new URL(feedUrl);
+  } catch {
+    return { success: false, error: "Invalid URL" };
+  }
+
+  try {
+    return await buildPreview(feedUrl, fetchOptions);
+  } catch (error) {
+    if (!error.invalidFeed || !discover) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  const discovery = await discoverFeeds(feedUrl, timeout);
+  const feeds = discovery.feeds.filter((feed) => feed.url !== feedUrl);
+  if (feeds.length === 0) {
+    return {
+      success: false,
+      error: "Not a feed, and no feed was found on the page",
+    };
+  }
+
+  try {
+    const preview = await buildPreview(feeds[0].url, fetchOptions);
+    return {
+      ...preview,
+      title: preview.title || discovery.pageTitle,
+      siteUrl: preview.siteUrl || discovery.siteUrl,
+      feeds,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `The feed found on the page (${feeds[0].url}) can't be read: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Fetch a feed and summarize it for a preview
+ * @param {string} url - Feed URL
+ * @param {object} options - Options
+ * @param {number} options.timeout - Fetch timeout in ms
+ * @param {boolean} [options.keepFeed] - Include the parsed feed (see previewFeed)
+ * @param {number} [options.maxItems] - Max items parsed for a kept feed
+ * @param {string|object} [options.sanitizeProfile] - Sanitization profile
+ * @returns {Promise<object>} Preview
+ */
+async function buildPreview(url, { timeout, keepFeed, maxItems = 50, sanitizeProfile }) {
+  const feed = await fetchAndParseFeed(url, {
+    timeout,
+    maxItems: keepFeed ? maxItems : PREVIEW_ITEMS,
+    sanitizeProfile,
+  });
+
+  // Items of a moved feed have UIDs keyed to the old URL, so a sync of the
+  // new URL must fetch it again
+  const kept = keepFeed && !feed.movedTo ? { feed } : {};
+
+  return {
+    ...kept,
+    success: true,
+    feedUrl: feed.movedTo || url,
+    feedType: feed.feedType,
+    title: feed.title || null,
+    description: feed.description || null,
+    siteUrl: feed.siteUrl || null,
+    photo: feed.photo || null,
+    items: feed.items.slice(0, PREVIEW_ITEMS).map((item) => ({
+      title: item.title,
+      url: item.url || null,
+      published: item.published || null,
+    })),
+    feeds: [],
+  };
+}
+
+/**
+ * Parse feed content (JSON Feed, RSS or Atom)
+ * @param {string} content - Feed content
+ * @param {object} options - Options
+ * @param {string} [options.contentType] - Content-Type of the content
+ * @param {string} options.feedUrl - Feed URL
+ * @param {number} [options.maxItems] - Max items to parse
+ * @param {string} [options.uidBase] - URL item UIDs are derived from (defaults to feedUrl)
+ * @param {string|object} [options.sanitizeProfile] - Sanitization profile for item content
+ * @returns {Promise<object>} Parsed feed
+ */
+export async function parseFeed(content, options) {
+  const {
+    contentType = "",
+    feedUrl,
+    maxItems = 50,
+    uidBase = feedUrl,
+    sanitizeProfile,
+  } = options;
+
+  // Check for JSON Feed
+  if (contentType.includes("json") || content.trim().startsWith("{")) {
+    try {
+      return parseJsonFeed(content, feedUrl, maxItems, uidBase, sanitizeProfile);
+    } catch {
+      // Not valid JSON, try XML
+    }
+  }
+
+  // Parse as RSS/Atom
+  return parseXmlFeed(content, feedUrl, maxItems, uidBase, sanitizeProfile);
+}
+
+/**
+ * Describe why fetched content isn't a feed
+ * @param {Error} error - Parser error
+ * @param {string} contentType - Response Content-Type
+ * @returns {Error} Error flagged with `invalidFeed`
+ */
+function invalidFeedError(error, contentType) {
+  let message;
+  if (contentType.includes("html")) {
+    message = "Not a feed: the URL returns an HTML page";
+  } else if (error.message === "Not a feed") {
+    message = "Not a feed: the content is neither RSS, Atom nor JSON Feed";
+  } else {
+    message = `Invalid feed: ${error.message}`;
+  }
+
+  const invalid = new Error(message);
+  invalid.invalidFeed = true;
+  return invalid;
+}
+
+/**
+ * Parse an HTTP Link header
+ * @param {string|null} header - Link header value
+ * @returns {object} First URL for each rel, e.g. { hub, self }
+ */
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+
+  for (const match of header.matchAll(/<([^>]+)>([^,<]*)/g)) {
+    const rel = /rel="?([^";]+)"?/i.exec(match[2]);
+    for (const name of rel ? rel[1].toLowerCase().split(/\s+/) : []) {
+      links[name] ??= match[1];
+    }
+  }
+
+  return links;
+}
+
 /**
  * Parse XML feed (RSS/Atom)
  * @param {string} content - XML content
  * @param {string} feedUrl - Feed URL
  * @param {number} maxItems - Max items to parse
+ * @param {string} [uidBase] - URL item UIDs are derived from
+ * @param {string|object} [sanitizeProfile] - Sanitization profile
  * @returns {Promise<object>} Parsed feed
  */
-async function parseXmlFeed(content, feedUrl, maxItems) {
+async function parseXmlFeed(content, feedUrl, maxItems, uidBase = feedUrl, sanitizeProfile) {
   return new Promise((resolve, reject) => {
     const feedparser = new FeedParser({ feedurl: feedUrl });
     const items = [];
@@ -102,17 +362,24 @@ async function parseXmlFeed(content, feedUrl, maxItems) {
     feedparser.on("readable", function () {
       let item;
       while ((item = this.read()) && items.length < maxItems) {
-        items.push(normalizeItem(item, feedUrl));
+        items.push(normalizeItem(item, uidBase, sanitizeProfile));
       }
     });
 
     feedparser.on("end", () => {
+      const atomLinks = [meta?.["atom:link"] || []].flat();
+      const linkHref = (rel) => atomLinks.find((link) => link["@"]?.rel === rel)?.["@"].href;
+
       resolve({
+        feedType: meta?.["#type"] === "atom" ? "atom" : "rss",
         title: meta?.title,
         description: meta?.description,
         siteUrl: meta?.link,
         photo: meta?.image?.url || meta?.favicon,
         author: meta?.author ? { name: meta.author } : undefined,
+        refreshHints: parseFeedRefreshHints(meta),
+        hub: linkHref("hub"),
+        self: linkHref("self"),
         items,
       });
     });
@@ -126,18 +393,26 @@ async function parseXmlFeed(content, feedUrl, maxItems) {
  * @param {string} content - JSON content
  * @param {string} feedUrl - Feed URL
  * @param {number} maxItems - Max items to parse
+ * @param {string} [uidBase] - URL item UIDs are derived from
+ * @param {string|object} [sanitizeProfile] - Sanitization profile
  * @returns {object} Parsed feed
  */
-function parseJsonFeed(content, feedUrl, maxItems) {
+function parseJsonFeed(content, feedUrl, maxItems, uidBase = feedUrl, sanitizeProfile) {
   const feed = JSON.parse(content);
+  if (!Array.isArray(feed.items)) {
+    throw new Error("Not a JSON Feed");
+  }
 
   const items = (feed.items || []).slice(0, maxItems).map((item) => ({
-    uid: generateUid(feedUrl, item.id || item.url),
+    uid: generateUid(uidBase, item.id || item.url),
     url: item.url || item.external_url,
     title: decodeEntities(item.title) || "Untitled",
     content: {
       html: item.content_html
-        ? sanitizeHtml(item.content_html, SANITIZE_OPTIONS)
+        ? sanitizeContent(item.content_html, {
+            profile: sanitizeProfile,
+            baseUrl: item.url || feed.home_page_url || feedUrl,
+          })
         : undefined,
       text: item.content_text,
     },
@@ -146,15 +421,26 @@ function parseJsonFeed(content, feedUrl, maxItems) {
     updated: item.date_modified ? new Date(item.date_modified).toISOString() : undefined,
     author: item.author || (item.authors?.[0]),
     photo: item.image ? [item.image] : undefined,
+    enclosures: (item.attachments || [])
+      .filter((attachment) => attachment.url)
+      .map((attachment) => ({
+        url: attachment.url,
+        type: attachment.mime_type || null,
+        length: toPositiveInteger(attachment.size_in_bytes),
+        duration: toPositiveInteger(attachment.duration_in_seconds),
+      })),
     categories: item.tags || [],
   }));
 
   return {
+    feedType: "jsonfeed",
     title: feed.title,
     description: feed.description,
     siteUrl: feed.home_page_url,
     photo: feed.icon || feed.favicon,
     author: feed.author || (feed.authors?.[0]),
+    hub: feed.hubs?.find((hub) => /^websub$/i.test(hub.type) && hub.url)?.url,
+    self: feed.feed_url,
     items,
   };
 }
@@ -163,9 +449,10 @@ function parseJsonFeed(content, feedUrl, maxItems) {
  * Normalize RSS/Atom item to common format
  * @param {object} item - FeedParser item
  * @param {string} feedUrl - Feed URL
+ * @param {string|object} [sanitizeProfile] - Sanitization profile
  * @returns {object} Normalized item
  */
-function normalizeItem(item, feedUrl) {
+function normalizeItem(item, feedUrl, sanitizeProfile) {
   const description = item.description || item.summary || "";
 
   // Convert dates to ISO strings - feedparser returns Date objects
@@ -177,7 +464,12 @@ function normalizeItem(item, feedUrl) {
     url: item.link || item.origlink,
     title: decodeEntities(item.title) || "Untitled",
     content: {
-      html: description ? sanitizeHtml(description, SANITIZE_OPTIONS) : undefined,
+      html: description
+        ? sanitizeContent(description, {
+            profile: sanitizeProfile,
+            baseUrl: item.link || item.origlink || item.meta?.link || feedUrl,
+          })
+        : undefined,
       text: stripHtml(description),
     },
     summary: truncateText(stripHtml(item.summary || description), 300),
@@ -185,6 +477,8 @@ function normalizeItem(item, feedUrl) {
     updated: updated ? (updated instanceof Date ? updated.toISOString() : new Date(updated).toISOString()) : undefined,
     author: item.author ? { name: item.author } : undefined,
     photo: extractPhotos(item),
+    enclosures: extractEnclosures(item),
+    podcast: extractPodcast(item),
     categories: item.categories || [],
   };
 }
@@ -280,7 +574,281 @@ function extractPhotos(item) {
     photos.push(item.image.url);
   }
 
-  return photos.length > 0 ? photos : undefined;
+  for (const thumbnail of namespacedElements(item, "media:thumbnail")) {
+    if (thumbnail["@"]?.url) {
+      photos.push(thumbnail["@"].url);
+    }
+  }
+
+  return photos.length > 0 ? [...new Set(photos)] : undefined;
+}
+
+/**
+ * Extract enclosures (audio, video and other attachments) from feed item
+ * FeedParser merges RSS `<enclosure>`, Atom `rel="enclosure"` links and
+ * `media:content` into `item.enclosures`.
+ * @param {object} item - FeedParser item
+ * @returns {Array<object>} Enclosures with url, type, length and duration (seconds)
+ */
+function extractEnclosures(item) {
+  const itunesDuration = parseDuration(namespacedText(item, "itunes:duration"));
+  const enclosures = [];
+  const seen = new Set();
+
+  for (const enc of item.enclosures || []) {
+    if (!enc.url || seen.has(enc.url)) continue;
+    seen.add(enc.url);
+
+    const isMedia = /^(audio|video)\//.test(enc.type || "");
+    enclosures.push({
+      url: enc.url,
+      type: enc.type || null,
+      length: toPositiveInteger(enc.length),
+      // itunes:duration describes the episode, i.e. its audio or video file
+      duration: parseDuration(enc.duration) ?? (isMedia ? itunesDuration : null),
+    });
+  }
+
+  return enclosures;
+}
+
+/**
+ * Extract iTunes podcast episode metadata from feed item
+ * @param {object} item - FeedParser item
+ * @returns {object|undefined} Podcast metadata, if the item has any
+ */
+function extractPodcast(item) {
+  const explicit = namespacedText(item, "itunes:explicit")?.toLowerCase();
+
+  const podcast = {
+    image: namespacedElements(item, "itunes:image")[0]?.["@"]?.href || null,
+    duration: parseDuration(namespacedText(item, "itunes:duration")),
+    episode: toPositiveInteger(namespacedText(item, "itunes:episode")),
+    season: toPositiveInteger(namespacedText(item, "itunes:season")),
+    episodeType: namespacedText(item, "itunes:episodetype")?.toLowerCase() || null,
+    explicit: ["yes", "true", "explicit"].includes(explicit)
+      ? true
+      : ["no", "false", "clean"].includes(explicit)
+        ? false
+        : null,
+  };
+
+  return Object.values(podcast).some((value) => value !== null) ? podcast : undefined;
+}
+
+/**
+ * Get namespaced elements of a feed item as an array
+ * @param {object} item - FeedParser item
+ * @param {string} name - Element name, e.g. "media:thumbnail"
+ * @returns {Array<object>} Elements
+ */
+function namespacedElements(item, name) {
+  const value = item[name];
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Get the text of a namespaced element of a feed item
+ * @param {object} item - FeedParser item
+ * @param {string} name - Element name, e.g. "itunes:duration"
+ * @returns {string|undefined} Trimmed text
+ */
+function namespacedText(item, name) {
+  return namespacedElements(item, name)[0]?.["#"]?.trim() || undefined;
+}
+
+/**
+ * Parse a duration in seconds, or as [[HH:]MM:]SS
+ * @param {string|number} value - Duration
+ * @returns {number|null} Duration in seconds
+ */
+function parseDuration(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const parts = String(value).trim().split(":");
+  if (parts.length > 3 || parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) return null;
+
+  const seconds = parts.reduce((total, part) => total * 60 + Number(part), 0);
+  return seconds > 0 ? Math.round(seconds) : null;
+}
+
+/**
+ * Parse a positive integer
+ * @param {string|number} value - Value
+ * @returns {number|null} Integer, or null if not a positive number
+ */
+function toPositiveInteger(value) {
+  const number = Number.parseInt(value, 10);
+  return number > 0 ? number : null;
+}
+
+/**
+ * Fetch an item's web page and extract the full article
+ * @param {string} url - Item URL
+ * @param {object} options - Options
+ * @param {number} [options.timeout] - Fetch timeout in ms
+ * @param {string|object} [options.sanitizeProfile] - Sanitization profile
+ * @returns {Promise<object|null>} Sanitized `{ html, text }`, or null when
+ *   the page has no recognizable article
+ */
+export async function fetchFullContent(url, options = {}) {
+  const { timeout = 15000, sanitizeProfile } = options;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: {
+        "User-Agent": "Indiekit-Blogroll/1.0",
+        Accept: "text/html,application/xhtml+xml",
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const contentType = response.headers.get("Content-Type") || "";
+    const contentLength = Number(response.headers.get("Content-Length"));
+    if (!contentType.includes("html") || contentLength > MAX_ARTICLE_BYTES) {
+      await response.body?.cancel();
+      return null;
+    }
+
+    // Content-Length may be missing or wrong, so the body is counted as read
+    const html = await readLimitedText(response, MAX_ARTICLE_BYTES);
+    if (html === null) return null;
+
+    const article = extractArticle(html);
+    if (!article) return null;
+
+    const articleHtml = sanitizeContent(article.html, {
+      profile: sanitizeProfile,
+      baseUrl: response.url || url,
+    });
+    return { html: articleHtml, text: stripHtml(articleHtml) };
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw new Error("Request timed out");
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Read a response body as text, giving up past a size limit
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Largest body read
+ * @returns {Promise<string|null>} Body text, or null if it was too large
+ */
+async function readLimitedText(response, maxBytes) {
+  if (!response.body) return "";
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let bytes = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    bytes += value.byteLength;
+    if (bytes > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Extract the full article for a feed item
+ * Pages without an article are recorded so they aren't fetched again;
+ * network errors are retried on the next sync.
+ * @param {object} item - Normalized feed item
+ * @param {object} options - Options for fetchFullContent
+ * @returns {Promise<object>} Fields to merge into the item
+ */
+async function extractItemContent(item, options) {
+  try {
+    const article = await fetchFullContent(item.url, options);
+    const extractedAt = new Date().toISOString();
+
+    if (!article) {
+      return { fullContent: false, extractedAt };
+    }
+
+    return {
+      content: article,
+      summary: item.summary || truncateText(article.text, 300),
+      fullContent: true,
+      extractedAt,
+    };
+  } catch (error) {
+    console.error(`[Blogroll] Full content fetch failed (${item.url}):`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Store parsed feed items for a blog
+ * Shared by polling and WebSub deliveries.
+ * @param {object} application - Application instance
+ * @param {object} blog - Blog document
+ * @param {Array<object>} items - Items from parseFeed
+ * @param {object} [options] - Options
+ * @param {number} [options.timeout] - Fetch timeout for full content, in ms
+ * @param {string|object} [options.sanitizeProfile] - Sanitization profile
+ * @returns {Promise<object>} { added, newestDate }
+ */
+export async function storeFeedItems(application, blog, items, options = {}) {
+  const { timeout = 15000, sanitizeProfile } = options;
+  let added = 0;
+
+  // Full content mode: fetch article pages of items not fetched before
+  const extracted = blog.fullContent
+    ? await getExtractedItems(application, blog._id, items.map((item) => item.uid))
+    : new Map();
+  let extractions = 0;
+
+  for (const item of items) {
+    let extraction = {};
+    if (blog.fullContent && item.url) {
+      if (extracted.has(item.uid)) {
+        extraction = { keepContent: extracted.get(item.uid) };
+      } else if (extractions < MAX_EXTRACTIONS_PER_SYNC) {
+        extractions++;
+        extraction = await extractItemContent(item, { timeout, sanitizeProfile });
+      }
+    }
+
+    const result = await upsertItem(application, {
+      ...item,
+      ...extraction,
+      blogId: blog._id,
+      // Blogs with their own retention are exempt from the TTL index
+      expires: !blog.retention,
+    });
+
+    if (result.upserted) added++;
+  }
+
+  // Newest item publish date
+  let newestDate = null;
+  for (const item of items) {
+    if (item.published && (!newestDate || item.published > newestDate)) {
+      newestDate = item.published;
+    }
+  }
+
+  return { added, newestDate };
 }
 
 /**
@@ -288,38 +856,80 @@ function extractPhotos(item) {
  * @param {object} application - Application instance
  * @param {object} blog - Blog document
  * @param {object} options - Sync options
+ * @param {object} [options.feed] - Feed already fetched from blog.feedUrl
+ *   (a kept preview feed), stored instead of fetching it again
  * @returns {Promise<object>} Sync result
  */
 export async function syncBlogItems(application, blog, options = {}) {
-  const { maxItems = 50, timeout = 15000 } = options;
+  const {
+    feed: fetchedFeed,
+    maxItems = 50,
+    timeout = 15000,
+    syncInterval = 3600000,
+    maxRefreshInterval = 86400000,
+    deadAfterDays = 14,
+    sanitizeProfile = application.blogrollConfig?.sanitizeProfile,
+    websub = true,
+    websubPollInterval = 86400000,
+  } = options;
+
+  // Blogs with push updates are only polled as a fallback
+  const scheduleOptions = isWebSubActive(blog)
+    ? {
+        minInterval: Math.max(syncInterval, websubPollInterval),
+        maxInterval: Math.max(maxRefreshInterval, websubPollInterval),
+      }
+    : { minInterval: syncInterval, maxInterval: maxRefreshInterval };
 
   try {
-    const feed = await fetchAndParseFeed(blog.feedUrl, { timeout, maxItems });
+    const feed = fetchedFeed || await fetchAndParseFeed(blog.feedUrl, {
+      timeout,
+      maxItems,
+      etag: blog.etag,
+      lastModified: blog.lastModified,
+      // Keep item UIDs keyed to the original URL so a moved feed doesn't duplicate items
+      uidBase: blog.previousFeedUrls?.[0] || blog.feedUrl,
+      sanitizeProfile,
+    });
 
-    let added = 0;
+    // Feed moved permanently (301/308) - remember the new URL
+    if (feed.movedTo) {
+      await moveBlogFeedUrl(application, blog, feed.movedTo);
+    }
 
-    for (const item of feed.items) {
-      const result = await upsertItem(application, {
-        ...item,
-        blogId: blog._id,
+    // Feed unchanged since last fetch (HTTP 304) - nothing to upsert
+    if (feed.notModified) {
+      await updateBlogStatus(application, blog._id, {
+        success: true,
+        etag: feed.etag,
+        lastModified: feed.lastModified,
+        nextFetchAt: await computeNextFetchAt(application, blog, {
+          ...scheduleOptions,
+          hints: feed.refreshHints,
+        }),
       });
 
-      if (result.upserted) added++;
+      return { success: true, added: 0, total: 0, notModified: true };
     }
 
-    // Compute newest item publish date
-    let newestDate = null;
-    for (const item of feed.items) {
-      if (item.published && (!newestDate || item.published > newestDate)) {
-        newestDate = item.published;
-      }
-    }
+    const { added, newestDate } = await storeFeedItems(application, blog, feed.items, {
+      timeout,
+      sanitizeProfile,
+    });
 
     // Update blog metadata
     const updateData = {
       success: true,
       itemCount: feed.items.length,
       lastItemAt: newestDate,
+      etag: feed.etag,
+      lastModified: feed.lastModified,
+      // Computed after upserting so the new items count towards posting frequency
+      nextFetchAt: await computeNextFetchAt(
+        application,
+        { ...blog, lastItemAt: newestDate || blog.lastItemAt },
+        { ...scheduleOptions, hints: feed.refreshHints }
+      ),
     };
 
     // Update title if not manually set (still has feedUrl as title)
@@ -339,14 +949,43 @@ export async function syncBlogItems(application, blog, options = {}) {
 
     await updateBlogStatus(application, blog._id, updateData);
 
+    if (websub) {
+      await ensureWebSubSubscription(application, blog, feed.websub);
+    }
+
     return { success: true, added, total: feed.items.length };
   } catch (error) {
-    // Update blog with error status
+    // Feed removed by its publisher - stop fetching instead of retrying
+    if (error.status === 410) {
+      await updateBlogStatus(application, blog._id, {
+        success: false,
+        gone: true,
+        error: "Feed is gone (HTTP 410)",
+      });
+
+      return { success: false, error: "Feed is gone (HTTP 410)", gone: true };
+    }
+
+    // Update blog with error status and back off before the next attempt
+    const backoff = computeFailureBackoff(blog, {
+      baseInterval: syncInterval,
+      maxInterval: maxRefreshInterval,
+      deadAfter: deadAfterDays * 24 * 60 * 60 * 1000,
+      retryAfter: error.retryAfter,
+    });
+
     await updateBlogStatus(application, blog._id, {
       success: false,
       error: error.message,
+      ...backoff,
     });
 
-    return { success: false, error: error.message };
+    if (backoff.dead) {
+      console.log(
+        `[Blogroll] Giving up on "${blog.title}" after ${backoff.consecutiveFailures} consecutive failures since ${backoff.failingSince}`
+      );
+    }
+
+    return { success: false, error: error.message, dead: backoff.dead };
   }
 }
@@ -4,7 +4,7 @@
  */
 
 import { fetchAndParseOpml } from "./opml.js";
-import { upsertBlog } from "../storage/blogs.js";
+import { upsertBlog, reconcileSourceBlogs, diffSourceBlogs } from "../storage/blogs.js";
 import { updateSourceSyncStatus } from "../storage/sources.js";
 
 /**
@@ -84,30 +84,50 @@ export function buildFeedlandRiverUrl(source) {
 
 /**
  * Sync blogs from a FeedLand source
+ * Takes the same options as syncOpmlSource, including dry runs, and
+ * likewise leaves out entries deselected in the import review.
  * @param {object} application - Application instance
  * @param {object} source - Source document
- * @returns {Promise<object>} Sync result
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Only compute the diff
+ * @returns {Promise<object>} Sync result, or { success, dryRun, diff }
  */
-export async function syncFeedlandSource(application, source) {
+export async function syncFeedlandSource(application, source, options = {}) {
+  const { dryRun = false } = options;
+
   try {
     const opmlUrl = buildFeedlandOpmlUrl(source);
-    const blogs = await fetchAndParseOpml(opmlUrl);
-
-    let added = 0;
-    let updated = 0;
 
-    for (const blog of blogs) {
-      // FeedLand OPML includes a category attribute with comma-separated categories.
-      // Use the first category, or fall back to the source's feedlandCategory filter,
-      // or use the FeedLand username as a category grouping.
-      const category = blog.category
+    // FeedLand OPML is flat and lists categories in each outline's category
+    // attribute (parseOpml keeps those as tags). Use the folder category if any,
+    // or fall back to the source's feedlandCategory filter,
+    // or use the FeedLand username as a category grouping.
+    const blogs = (await fetchAndParseOpml(opmlUrl)).map((blog) => ({
+      ...blog,
+      category: blog.category
         || source.feedlandCategory
         || source.feedlandUsername
-        || "";
+        || "",
+    }));
+
+    if (dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        diff: await diffSourceBlogs(application, source._id, blogs),
+      };
+    }
+
+    // Entries deselected in the import review are not imported
+    const excluded = new Set(source.excludedFeeds || []);
+    const included = blogs.filter((blog) => !excluded.has(blog.feedUrl));
 
+    let added = 0;
+    let updated = 0;
+
+    for (const blog of included) {
       const result = await upsertBlog(application, {
         ...blog,
-        category,
         source: "feedland",
         sourceId: source._id,
       });
@@ -116,15 +136,37 @@ export async function syncFeedlandSource(application, source) {
       else if (result.modified) updated++;
     }
 
+    // Handle blogs no longer listed upstream (never on an empty list, see syncOpmlSource)
+    let orphaned = 0;
+    if (blogs.length > 0) {
+      orphaned = await reconcileSourceBlogs(
+        application,
+        source._id,
+        included.map((b) => b.feedUrl),
+        source.orphanAction
+      );
+    }
+
     // Update source sync status
     await updateSourceSyncStatus(application, source._id, { success: true });
 
     console.log(
-      `[Blogroll] Synced FeedLand source "${source.name}" (${source.feedlandUsername}@${source.feedlandInstance}): ${added} added, ${updated} updated, ${blogs.length} total`
+      `[Blogroll] Synced FeedLand source "${source.name}" (${source.feedlandUsername}@${source.feedlandInstance}): ${added} added, ${updated} updated, ${orphaned} orphaned, ${blogs.length - included.length} excluded, ${blogs.length} total`
     );
 
-    return { success: true, added, updated, total: blogs.length };
+    return {
+      success: true,
+      added,
+      updated,
+      orphaned,
+      excluded: blogs.length - included.length,
+      total: blogs.length,
+    };
   } catch (error) {
+    if (dryRun) {
+      return { success: false, error: error.message };
+    }
+
     // Update source with error status
     await updateSourceSyncStatus(application, source._id, {
       success: false,
@@ -0,0 +1,111 @@
+/**
+ * JSON blog list parsing
+ * @module sync/json-list
+ *
+ * Schema for `json_feed` sources: either a top-level array of blogs, or an
+ * object with a `blogs` array. Each blog:
+ *
+ *   {
+ *     "title": "Example Blog",             // optional, defaults to the feed URL
+ *     "feedUrl": "https://example.com/feed", // required
+ *     "siteUrl": "https://example.com",      // optional
+ *     "category": "Tech",                    // optional
+ *     "tags": ["indieweb", "css"],           // optional, array or comma-separated string
+ *     "photo": "https://example.com/me.jpg"  // optional
+ *   }
+ */
+
+import { isHttpUrl, stringOrEmpty } from "../utils/values.js";
+
+/**
+ * Parse a JSON blog list and extract blog entries
+ * @param {string} content - JSON content
+ * @returns {Array} Array of blog entries (same shape as parseOpml)
+ */
+export function parseJsonBlogList(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw new Error("Invalid JSON blog list: could not parse JSON");
+  }
+
+  const entries = Array.isArray(data) ? data : data?.blogs;
+  if (!Array.isArray(entries)) {
+    throw new Error('Invalid JSON blog list: expected an array or an object with a "blogs" array');
+  }
+
+  const blogs = [];
+
+  for (const entry of entries) {
+    const feedUrl = typeof entry?.feedUrl === "string" ? entry.feedUrl.trim() : "";
+    if (!isHttpUrl(feedUrl)) continue;
+
+    const blog = {
+      title: stringOrEmpty(entry.title) || feedUrl,
+      feedUrl,
+      siteUrl: isHttpUrl(entry.siteUrl) ? entry.siteUrl.trim() : "",
+      feedType: "rss",
+      category: stringOrEmpty(entry.category),
+    };
+
+    // Only set when listed, so syncs keep tags edited locally
+    if (entry.tags !== undefined) blog.tags = parseTags(entry.tags);
+
+    if (isHttpUrl(entry.photo)) blog.photo = entry.photo.trim();
+
+    blogs.push(blog);
+  }
+
+  return blogs;
+}
+
+/**
+ * Fetch and parse a JSON blog list from URL
+ * @param {string} url - JSON URL
+ * @param {number} timeout - Fetch timeout in ms
+ * @returns {Promise<Array>} Array of blog entries
+ */
+export async function fetchAndParseJsonBlogList(url, timeout = 15000) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: {
+        "User-Agent": "Indiekit-Blogroll/1.0",
+        Accept: "application/json, */*",
+      },
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const content = await response.text();
+    return parseJsonBlogList(content);
+  } catch (error) {
+    clearTimeout(timeoutId);
+    if (error.name === "AbortError") {
+      throw new Error("Request timed out");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Normalize tags from an array or comma-separated string
+ * @param {Array|string} tags - Tags
+ * @returns {Array<string>} Tags
+ */
+function parseTags(tags) {
+  const list = typeof tags === "string" ? tags.split(",") : tags;
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((tag) => typeof tag === "string")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+}
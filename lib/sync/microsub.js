@@ -10,6 +10,7 @@
 
 import { upsertBlog, getBlogByFeedUrl } from "../storage/blogs.js";
 import { updateSourceSyncStatus } from "../storage/sources.js";
+import { parseSearchTerms, termsToRegex } from "../utils/search.js";
 
 /**
  * Sync blogs from Microsub subscriptions
@@ -137,10 +138,31 @@ export async function syncMicrosubSource(application, source) {
  * @param {object} application - Application instance
  * @param {object} blog - Blog with microsubFeedId
  * @param {number} limit - Max items to return
+ * @param {object} [options] - Options (see getMicrosubItemsForBlogs)
  * @returns {Promise<Array>} Items from Microsub
  */
-export async function getMicrosubItemsForBlog(application, blog, limit = 20) {
-  if (!blog.microsubFeedId) {
+export async function getMicrosubItemsForBlog(application, blog, limit = 20, options = {}) {
+  return getMicrosubItemsForBlogs(application, [blog], limit, options);
+}
+
+/**
+ * Get the newest items across several Microsub-sourced blogs
+ * A single query over all their feeds, so the limit applies to the merged
+ * list rather than to each blog.
+ * @param {object} application - Application instance
+ * @param {Array} blogs - Blogs with microsubFeedId
+ * @param {number} limit - Max items to return
+ * @param {object} [options] - Options
+ * @param {string} [options.q] - Only items matching any term of this search query
+ * @param {object} [options.before] - Only items after this position in the
+ *   newest-first order: `{ published, id }` (ISO string and ObjectId)
+ * @returns {Promise<Array>} Items from Microsub, newest first
+ */
+export async function getMicrosubItemsForBlogs(application, blogs, limit = 20, options = {}) {
+  const blogsByFeedId = new Map(
+    blogs.filter((blog) => blog.microsubFeedId).map((blog) => [String(blog.microsubFeedId), blog])
+  );
+  if (blogsByFeedId.size === 0) {
     return [];
   }
 
@@ -150,28 +172,90 @@ export async function getMicrosubItemsForBlog(application, blog, limit = 20) {
   }
 
   const { ObjectId } = await import("mongodb");
-  const feedId = new ObjectId(blog.microsubFeedId);
+  const feedIds = [...blogsByFeedId.keys()].map((id) => new ObjectId(id));
+
+  const query = { feedId: feedIds.length === 1 ? feedIds[0] : { $in: feedIds } };
+  const conditions = [];
+
+  const terms = parseSearchTerms(options.q);
+  if (terms.length > 0) {
+    const pattern = termsToRegex(terms);
+    conditions.push({
+      $or: [{ name: pattern }, { summary: pattern }, { "content.text": pattern }],
+    });
+  }
+
+  if (options.before?.published === null) {
+    // Undated items come after all dated ones
+    conditions.push({ published: null, _id: { $lt: options.before.id } });
+  } else if (options.before) {
+    // Microsub may store published as a Date or a string; match either
+    const { published, id } = options.before;
+    const values = [published, new Date(published)];
+    conditions.push({
+      $or: [
+        ...values.flatMap((value) => [
+          { published: { $lt: value } },
+          { published: value, _id: { $lt: id } },
+        ]),
+        { published: null },
+      ],
+    });
+  }
+
+  if (conditions.length > 0) query.$and = conditions;
 
   const items = await itemsCollection
-    .find({ feedId })
-    .sort({ published: -1 })
+    .find(query)
+    .sort({ published: -1, _id: -1 })
     .limit(limit)
     .toArray();
 
   // Transform Microsub item format to Blogroll format
   return items.map((item) => ({
     _id: item._id,
-    blogId: blog._id,
+    blogId: blogsByFeedId.get(String(item.feedId))._id,
     url: item.url,
     title: item.name || item.url,
     summary: item.summary || item.content?.text?.substring(0, 300),
+    content: item.content,
     published: item.published,
     author: item.author?.name,
     photo: item.photo?.[0] || item.featured,
+    // Microsub keeps no MIME types, only whether a file is audio or video
+    enclosures: [
+      ...(item.audio || []).map((audio) => ({ url: audio.url || audio, type: "audio/*" })),
+      ...(item.video || []).map((video) => ({ url: video.url || video, type: "video/*" })),
+    ].map((enclosure) => ({ ...enclosure, length: null, duration: null })),
     categories: item.category || [],
   }));
 }
 
+/**
+ * Find the Microsub feed subscribed to a URL
+ * @param {object} application - Application instance
+ * @param {string} url - Feed URL
+ * @returns {Promise<object|null>} Blog fields referencing the feed, or null
+ */
+export async function findMicrosubFeedLink(application, url) {
+  const feedsCollection = application.collections?.get("microsub_feeds");
+  if (!feedsCollection) return null;
+
+  const feed = await feedsCollection.findOne({ url });
+  if (!feed) return null;
+
+  const channel = await application.collections
+    ?.get("microsub_channels")
+    ?.findOne({ _id: feed.channelId });
+
+  return {
+    microsubFeedId: feed._id.toString(),
+    microsubChannelId: feed.channelId?.toString() || null,
+    microsubChannelName: channel?.name || null,
+    skipItemFetch: true,
+  };
+}
+
 /**
  * Handle Microsub subscription webhook
  * Called when a feed is subscribed/unsubscribed in Microsub
@@ -200,15 +284,17 @@ export async function handleMicrosubWebhook(application, data) {
       return { ok: true, action: "skipped", reason: "manual_entry" };
     }
 
-    // Add new blog
+    // Add new blog, linked to its Microsub feed so items are served from there
+    const link = await findMicrosubFeedLink(application, url);
     await upsertBlog(application, {
       title: title || extractDomainFromUrl(url),
       feedUrl: url,
       siteUrl: extractSiteUrl(url),
       feedType: "rss",
-      category: channelName || "Microsub",
-      source: "microsub-webhook",
-      status: "pending",
+      category: channelName || link?.microsubChannelName || "Microsub",
+      source: "microsub",
+      ...link,
+      status: link ? "active" : "pending",
     });
 
     console.log(`[Blogroll] Webhook: Added feed ${url} from Microsub`);
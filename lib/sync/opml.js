@@ -4,57 +4,178 @@
  */
 
 import { parseStringPromise } from "xml2js";
-import { upsertBlog } from "../storage/blogs.js";
+import { upsertBlog, reconcileSourceBlogs, diffSourceBlogs } from "../storage/blogs.js";
 import { updateSourceSyncStatus } from "../storage/sources.js";
+import { getSourceUpload } from "../storage/uploads.js";
+import { decodeXml } from "../utils/encoding.js";
+import { escapeXml, toIsoString } from "../utils/xml.js";
+import { fetchAndParseJsonBlogList } from "./json-list.js";
+import { READER_EXPORTS, parseReaderExport } from "./reader-exports.js";
+
+// Namespace for blogroll extension attributes written by generateOpml
+export const BLOGROLL_OPML_NAMESPACE =
+  "https://github.com/rmdes/indiekit-endpoint-blogroll#opml";
+
+// Outline attributes written even when empty. An empty blogroll:tags
+// clears the tags of blogs synced from the export.
+const KEEP_EMPTY_ATTRIBUTES = new Set(["htmlUrl", "blogroll:tags"]);
+
+// Outline attributes mapped to blog fields rather than kept in opmlAttributes
+const MAPPED_ATTRIBUTES = new Set([
+  "text",
+  "title",
+  "type",
+  "xmlUrl",
+  "htmlUrl",
+  "description",
+  "language",
+  "category",
+]);
 
 /**
  * Parse OPML content and extract blog entries
+ * Folders are walked recursively. With `folderMode: "path"` the full folder
+ * path becomes the category (e.g. "Tech/JavaScript"); with "tags" the
+ * top-level folder is the category and every folder in the path is a tag.
+ * Files exported by this plugin (see generateOpml) are recognised by their
+ * blogroll namespace and restored as exported, ignoring `folderMode`.
  * @param {string} opmlContent - OPML XML content
+ * @param {object} [options] - Parse options
+ * @param {string} [options.folderMode] - "path" | "tags"
  * @returns {Promise<Array>} Array of blog entries
  */
-export async function parseOpml(opmlContent) {
+export async function parseOpml(opmlContent, options = {}) {
+  const { folderMode = "path" } = options;
   const result = await parseStringPromise(opmlContent, { explicitArray: false });
   const blogs = [];
 
   const body = result?.opml?.body;
   if (!body?.outline) return blogs;
 
-  const outlines = Array.isArray(body.outline) ? body.outline : [body.outline];
-
-  for (const outline of outlines) {
-    // Handle nested outlines (categories)
-    if (outline.outline) {
-      const children = Array.isArray(outline.outline)
-        ? outline.outline
-        : [outline.outline];
-      const category = outline.$?.text || outline.$?.title || "";
-
-      for (const child of children) {
-        if (child.$ && child.$.xmlUrl) {
-          blogs.push({
-            title: child.$.text || child.$.title || "Unknown",
-            feedUrl: child.$.xmlUrl,
-            siteUrl: child.$.htmlUrl || "",
-            feedType: detectFeedType(child.$.type),
-            category,
-          });
-        }
+  const isBlogrollExport = Object.values(result.opml.$ || {}).includes(
+    BLOGROLL_OPML_NAMESPACE
+  );
+
+  const walk = (outlines, folders) => {
+    for (const outline of toArray(outlines)) {
+      const attributes = outline.$ || {};
+
+      if (attributes.xmlUrl) {
+        blogs.push(
+          isBlogrollExport
+            ? exportedOutlineToBlog(attributes, folders)
+            : outlineToBlog(attributes, folders, folderMode)
+        );
+      } else if (outline.outline) {
+        // Folder outline: descend with its name appended to the path
+        const name = (attributes.text || attributes.title || "").trim();
+        walk(outline.outline, name ? [...folders, name] : folders);
       }
-    } else if (outline.$ && outline.$.xmlUrl) {
-      // Direct feed outline (no category)
-      blogs.push({
-        title: outline.$.text || outline.$.title || "Unknown",
-        feedUrl: outline.$.xmlUrl,
-        siteUrl: outline.$.htmlUrl || "",
-        feedType: detectFeedType(outline.$.type),
-        category: "",
-      });
     }
-  }
+  };
+
+  walk(body.outline, []);
 
   return blogs;
 }
 
+/**
+ * Convert a feed outline's attributes to a blog entry
+ * Optional fields are only set when present, so a sync doesn't
+ * clear values on blogs whose outline doesn't carry them.
+ * @param {object} attributes - Outline attributes
+ * @param {Array<string>} folders - Folder path of the outline
+ * @param {string} folderMode - "path" | "tags"
+ * @returns {object} Blog entry
+ */
+function outlineToBlog(attributes, folders, folderMode) {
+  const blog = {
+    title: attributes.text || attributes.title || "Unknown",
+    feedUrl: attributes.xmlUrl,
+    siteUrl: attributes.htmlUrl || "",
+    feedType: detectFeedType(attributes.type),
+    category: folderMode === "tags" ? folders[0] || "" : folders.join("/"),
+  };
+
+  // OPML category attribute: comma-separated, slash-delimited paths
+  const tags = [
+    ...(folderMode === "tags" ? folders : []),
+    ...(attributes.category || "")
+      .split(",")
+      .map((c) => c.trim().replace(/^\/+|\/+$/g, ""))
+      .filter(Boolean),
+  ];
+  if (tags.length > 0) blog.tags = [...new Set(tags)];
+
+  if (attributes.description) blog.description = attributes.description;
+  if (attributes.language) blog.language = attributes.language;
+
+  // Keep any other attributes (including custom namespaced ones) as-is
+  const extra = {};
+  for (const [name, value] of Object.entries(attributes)) {
+    if (!MAPPED_ATTRIBUTES.has(name)) {
+      // MongoDB field names can't contain dots or start with $
+      extra[name.replace(/\./g, "_").replace(/^\$/, "_")] = value;
+    }
+  }
+  if (Object.keys(extra).length > 0) blog.opmlAttributes = extra;
+
+  return blog;
+}
+
+/**
+ * Convert an outline exported by generateOpml back to a blog entry
+ * The category attribute holds the blog's own category and the
+ * blogroll:* extension attributes hold the rest of its metadata.
+ * @param {object} attributes - Outline attributes
+ * @param {Array<string>} folders - Folder path of the outline
+ * @returns {object} Blog entry
+ */
+function exportedOutlineToBlog(attributes, folders) {
+  const blog = outlineToBlog(
+    Object.fromEntries(
+      Object.entries(attributes).filter(
+        ([name]) => name !== "category" && !name.startsWith("blogroll:")
+      )
+    ),
+    folders,
+    "path"
+  );
+
+  if (attributes.category !== undefined) {
+    blog.category = attributes.category.replace(/^\//, "");
+  }
+
+  // Exports always write tags and pinned state, so an empty value clears
+  // them. Outlines without the attributes leave local values alone.
+  const tags = attributes["blogroll:tags"];
+  if (tags !== undefined) {
+    blog.tags = tags.split(",").map((t) => t.trim()).filter(Boolean);
+  }
+
+  if (attributes["blogroll:photo"]) blog.photo = attributes["blogroll:photo"];
+  if (attributes["blogroll:lastItemAt"]) blog.lastItemAt = attributes["blogroll:lastItemAt"];
+  if (attributes["blogroll:pinned"] !== undefined) {
+    blog.pinned = attributes["blogroll:pinned"] === "true";
+  }
+  if (attributes["blogroll:hidden"] !== undefined) {
+    blog.hidden = attributes["blogroll:hidden"] === "true";
+  }
+  if (attributes["blogroll:notes"] !== undefined) blog.notes = attributes["blogroll:notes"];
+
+  return blog;
+}
+
+/**
+ * Wrap a single xml2js node in an array
+ * @param {object|Array} value - Node or nodes
+ * @returns {Array} Nodes
+ */
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
 /**
  * Detect feed type from OPML type attribute
  * @param {string} type - OPML type attribute
@@ -72,9 +193,10 @@ function detectFeedType(type) {
  * Fetch and parse OPML from URL
  * @param {string} url - OPML URL
  * @param {number} timeout - Fetch timeout in ms
+ * @param {object} [options] - Parse options (see parseOpml)
  * @returns {Promise<Array>} Array of blog entries
  */
-export async function fetchAndParseOpml(url, timeout = 15000) {
+export async function fetchAndParseOpml(url, timeout = 15000, options = {}) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeout);
 
@@ -94,7 +216,7 @@ export async function fetchAndParseOpml(url, timeout = 15000) {
     }
 
     const content = await response.text();
-    return parseOpml(content);
+    return parseOpml(content, options);
   } catch (error) {
     clearTimeout(timeoutId);
     if (error.name === "AbortError") {
@@ -104,28 +226,88 @@ export async function fetchAndParseOpml(url, timeout = 15000) {
   }
 }
 
+/**
+ * Read an uploaded OPML file
+ * Decodes it (see decodeXml) and checks that it is OPML listing feeds,
+ * so broken files are rejected on upload rather than on first sync.
+ * @param {Buffer} buffer - File contents
+ * @param {object} [options] - Parse options (see parseOpml)
+ * @returns {Promise<object>} { content, encoding, feeds }
+ */
+export async function readOpmlFile(buffer, options = {}) {
+  const { text, encoding } = decodeXml(buffer);
+
+  if (!/<opml[\s>]/i.test(text)) {
+    throw new Error("Not an OPML file");
+  }
+
+  let blogs;
+  try {
+    blogs = await parseOpml(text, options);
+  } catch (error) {
+    throw new Error(`Invalid OPML file: ${error.message.split("\n")[0]}`);
+  }
+
+  if (blogs.length === 0) {
+    throw new Error("The OPML file lists no feeds");
+  }
+
+  return { content: text, encoding, feeds: blogs.length };
+}
+
 /**
  * Sync blogs from an OPML source
+ * Also handles JSON blog lists (`json_feed`) and uploaded feed reader
+ * exports (see READER_EXPORTS), which produce the same entries.
+ * Entries deselected in the import review (`source.excludedFeeds`) are
+ * left out. A dry run writes nothing and returns the diff the sync would
+ * apply instead (see diffSourceBlogs).
  * @param {object} application - Application instance
  * @param {object} source - Source document
- * @returns {Promise<object>} Sync result
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Only compute the diff
+ * @returns {Promise<object>} Sync result, or { success, dryRun, diff }
  */
-export async function syncOpmlSource(application, source) {
+export async function syncOpmlSource(application, source, options = {}) {
+  const { dryRun = false } = options;
   let blogs;
 
   try {
+    const parseOptions = { folderMode: source.folderMode };
+
     if (source.type === "opml_url") {
-      blogs = await fetchAndParseOpml(source.url);
-    } else if (source.type === "opml_file") {
-      blogs = await parseOpml(source.opmlContent);
+      blogs = await fetchAndParseOpml(source.url, undefined, parseOptions);
+    } else if (source.type === "opml_file" || READER_EXPORTS[source.type]) {
+      const upload = await getSourceUpload(application, source._id);
+      if (!upload) {
+        throw new Error("No file uploaded");
+      }
+      blogs =
+        source.type === "opml_file"
+          ? await parseOpml(upload.content, parseOptions)
+          : parseReaderExport(source.type, upload.content, parseOptions);
+    } else if (source.type === "json_feed") {
+      blogs = await fetchAndParseJsonBlogList(source.url);
     } else {
       throw new Error(`Unsupported source type: ${source.type}`);
     }
 
+    if (dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        diff: await diffSourceBlogs(application, source._id, blogs),
+      };
+    }
+
+    // Entries deselected in the import review are not imported
+    const excluded = new Set(source.excludedFeeds || []);
+    const included = blogs.filter((blog) => !excluded.has(blog.feedUrl));
+
     let added = 0;
     let updated = 0;
 
-    for (const blog of blogs) {
+    for (const blog of included) {
       const result = await upsertBlog(application, {
         ...blog,
         sourceId: source._id,
@@ -135,15 +317,40 @@ export async function syncOpmlSource(application, source) {
       else if (result.modified) updated++;
     }
 
+    // Handle blogs no longer listed upstream. An empty list is more likely
+    // a broken export than an empty blogroll, so it never orphans anything.
+    let orphaned = 0;
+    if (blogs.length > 0) {
+      orphaned = await reconcileSourceBlogs(
+        application,
+        source._id,
+        included.map((b) => b.feedUrl),
+        source.orphanAction
+      );
+    }
+
     // Update source sync status
     await updateSourceSyncStatus(application, source._id, { success: true });
 
+    const format =
+      READER_EXPORTS[source.type]?.name || (source.type === "json_feed" ? "JSON" : "OPML");
     console.log(
-      `[Blogroll] Synced OPML source "${source.name}": ${added} added, ${updated} updated, ${blogs.length} total`
+      `[Blogroll] Synced ${format} source "${source.name}": ${added} added, ${updated} updated, ${orphaned} orphaned, ${blogs.length - included.length} excluded, ${blogs.length} total`
     );
 
-    return { success: true, added, updated, total: blogs.length };
+    return {
+      success: true,
+      added,
+      updated,
+      orphaned,
+      excluded: blogs.length - included.length,
+      total: blogs.length,
+    };
   } catch (error) {
+    if (dryRun) {
+      return { success: false, error: error.message };
+    }
+
     // Update source with error status
     await updateSourceSyncStatus(application, source._id, {
       success: false,
@@ -157,52 +364,140 @@ export async function syncOpmlSource(application, source) {
 
 /**
  * Generate OPML XML from blogs
+ * Writes every field parseOpml reads back: feed type, description,
+ * language and category as standard attributes, and tags, pinned state,
+ * photo and lastItemAt as blogroll:* extension attributes. Private fields
+ * (notes, hidden state) are only written with `includePrivate`.
  * @param {Array} blogs - Array of blog objects
- * @param {string} title - OPML title
+ * @param {object} [options] - Options
+ * @param {string} [options.title] - OPML title
+ * @param {string} [options.ownerName] - Owner name for the head
+ * @param {string} [options.ownerId] - Owner URL for the head
+ * @param {boolean} [options.flat] - Don't wrap blogs in category folders
+ * @param {boolean} [options.includePrivate] - Include notes and hidden state
  * @returns {string} OPML XML
  */
-export function generateOpml(blogs, title = "Blogroll") {
-  // Group blogs by category
-  const grouped = {};
+export function generateOpml(blogs, options = {}) {
+  // Group blogs by category, keeping the order categories first appear in
+  const grouped = new Map();
   for (const blog of blogs) {
-    const cat = blog.category || "Uncategorized";
-    if (!grouped[cat]) grouped[cat] = [];
-    grouped[cat].push(blog);
+    const cat = blog.category || "";
+    if (!grouped.has(cat)) grouped.set(cat, []);
+    grouped.get(cat).push(blog);
   }
 
-  let outlines = "";
-  for (const [category, categoryBlogs] of Object.entries(grouped)) {
-    const children = categoryBlogs
-      .map(
-        (b) =>
-          `      <outline text="${escapeXml(b.title)}" type="rss" xmlUrl="${escapeXml(b.feedUrl)}" htmlUrl="${escapeXml(b.siteUrl || "")}"/>`
-      )
-      .join("\n");
-    outlines += `    <outline text="${escapeXml(category)}">\n${children}\n    </outline>\n`;
+  const writer = createOpmlWriter(options);
+  let xml = writer.start();
+  for (const categoryBlogs of grouped.values()) {
+    for (const blog of categoryBlogs) xml += writer.write(blog);
+  }
+  return xml + writer.end();
+}
+
+/**
+ * Generate OPML XML in chunks, for streaming large blogrolls
+ * Takes the same options as generateOpml. Blogs must already be sorted
+ * by category (see getBlogsCursor) unless `flat` is set.
+ * @param {Iterable|AsyncIterable} blogs - Blogs, e.g. a MongoDB cursor
+ * @param {object} [options] - Options
+ * @yields {string} OPML XML chunk
+ */
+export async function* streamOpml(blogs, options = {}) {
+  const writer = createOpmlWriter(options);
+  yield writer.start();
+  for await (const blog of blogs) {
+    yield writer.write(blog);
   }
+  yield writer.end();
+}
+
+/**
+ * Create an OPML writer that opens category folders as blogs arrive
+ * Uncategorized blogs sit at the top level.
+ * @param {object} options - generateOpml options
+ * @returns {object} Writer with start, write and end methods
+ */
+function createOpmlWriter(options) {
+  const {
+    title = "Blogroll",
+    ownerName,
+    ownerId,
+    flat = false,
+    includePrivate = false,
+  } = options;
+  let folder = "";
 
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<opml version="2.0">
+  const closeFolder = () => (folder ? "    </outline>\n" : "");
+
+  return {
+    start() {
+      const head = [`    <title>${escapeXml(title)}</title>`];
+      head.push(`    <dateCreated>${new Date().toUTCString()}</dateCreated>`);
+      if (ownerName) head.push(`    <ownerName>${escapeXml(ownerName)}</ownerName>`);
+      if (ownerId) head.push(`    <ownerId>${escapeXml(ownerId)}</ownerId>`);
+
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0" xmlns:blogroll="${BLOGROLL_OPML_NAMESPACE}">
   <head>
-    <title>${escapeXml(title)}</title>
-    <dateCreated>${new Date().toUTCString()}</dateCreated>
+${head.join("\n")}
   </head>
   <body>
-${outlines}  </body>
+`;
+    },
+
+    write(blog) {
+      let xml = "";
+      const category = flat ? "" : blog.category || "";
+      if (category !== folder) {
+        xml += closeFolder();
+        if (category) xml += `    <outline text="${escapeXml(category)}">\n`;
+        folder = category;
+      }
+
+      const indent = folder ? "      " : "    ";
+      return `${xml}${indent}<outline ${outlineAttributes(blog, includePrivate)}/>\n`;
+    },
+
+    end() {
+      return `${closeFolder()}  </body>
 </opml>`;
+    },
+  };
 }
 
 /**
- * Escape XML special characters
- * @param {string} str - String to escape
- * @returns {string} Escaped string
+ * Build the attribute list for a blog outline
+ * @param {object} blog - Blog document
+ * @param {boolean} includePrivate - Include notes and hidden state
+ * @returns {string} Serialized attributes
  */
-function escapeXml(str) {
-  if (!str) return "";
-  return String(str)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&apos;");
+function outlineAttributes(blog, includePrivate) {
+  const attributes = {
+    text: blog.title,
+    title: blog.title,
+    type: blog.feedType || "rss",
+    xmlUrl: blog.feedUrl,
+    htmlUrl: blog.siteUrl || "",
+    description: blog.description,
+    language: blog.language,
+    // OPML category attribute: a slash-delimited path
+    category: blog.category ? `/${blog.category}` : undefined,
+    "blogroll:tags": (blog.tags || []).join(","),
+    "blogroll:pinned": blog.pinned ? "true" : "false",
+    "blogroll:photo": blog.photo,
+    "blogroll:lastItemAt": toIsoString(blog.lastItemAt),
+  };
+
+  if (includePrivate) {
+    attributes["blogroll:hidden"] = blog.hidden ? "true" : "false";
+    attributes["blogroll:notes"] = blog.notes;
+  }
+
+  return Object.entries(attributes)
+    .filter(
+      ([name, value]) =>
+        value !== undefined && value !== null && (value !== "" || KEEP_EMPTY_ATTRIBUTES.has(name))
+    )
+    .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+    .join(" ");
 }
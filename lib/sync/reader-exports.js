@@ -0,0 +1,358 @@
+/**
+ * Feed reader export parsing
+ * @module sync/reader-exports
+ *
+ * Subscription exports from feed readers that don't (only) export OPML.
+ * Each format is a one-time import source type, uploaded like `opml_file`:
+ *
+ *   feedly_file    Feedly or Inoreader JSON: an array of subscriptions, or
+ *                  an object with a `subscriptions` array. Feeds are `url`
+ *                  or a `feed/<url>` id, folders are `categories[].label`.
+ *   miniflux_file  Miniflux JSON (`GET /v1/feeds`): an array of feeds with
+ *                  `feed_url`, `site_url` and a `category.title`.
+ *   freshrss_file  FreshRSS JSON from its Google Reader API
+ *                  (`subscription/list?output=json`), the same shape as
+ *                  Inoreader's.
+ *   newsblur_file  NewsBlur JSON backup: `feeds` keyed by feed ID, and
+ *                  `folders` nesting feed IDs in `{ "Folder": [...] }` objects.
+ *   bookmarks_file Netscape bookmark HTML, as exported by browsers. Links
+ *                  with a `FEEDURL` attribute (live bookmarks) or a URL that
+ *                  looks like a feed are imported; bookmark folders are kept.
+ *
+ * All formats produce the same blog entries as parseOpml, with folders
+ * mapped to categories and tags by `folderMode` in the same way.
+ */
+
+import { Parser } from "htmlparser2";
+import { decodeText } from "../utils/encoding.js";
+import { httpUrl, stringOrEmpty } from "../utils/values.js";
+
+// Supported exports by source type
+export const READER_EXPORTS = {
+  feedly_file: {
+    name: "Feedly/Inoreader",
+    extensions: [".json"],
+    parse: (content) => parseGoogleReaderSubscriptions(parseJson(content)),
+  },
+  miniflux_file: {
+    name: "Miniflux",
+    extensions: [".json"],
+    parse: (content) => parseMinifluxFeeds(parseJson(content)),
+  },
+  freshrss_file: {
+    name: "FreshRSS",
+    extensions: [".json"],
+    parse: (content) => parseGoogleReaderSubscriptions(parseJson(content)),
+  },
+  newsblur_file: {
+    name: "NewsBlur",
+    extensions: [".json"],
+    parse: (content) => parseNewsblurBackup(parseJson(content)),
+  },
+  bookmarks_file: {
+    name: "Bookmarks",
+    extensions: [".html", ".htm"],
+    parse: (content) => parseBookmarks(content),
+  },
+};
+
+export const READER_EXPORT_TYPES = Object.keys(READER_EXPORTS);
+
+// Bookmark URLs treated as feeds: feed-like extensions or last path segments
+const FEED_PATH = /(\.(rss|atom|rdf|xml)|\/(feed|rss|atom|feed\.json|index\.json))\/?$/i;
+const FEED_QUERY = /[?&](feed|format|type)=(rss|rss2|atom|json)\b/i;
+
+/**
+ * Parse a feed reader export and extract blog entries
+ * @param {string} type - Source type (a READER_EXPORTS key)
+ * @param {string} content - Export file contents
+ * @param {object} [options] - Parse options
+ * @param {string} [options.folderMode] - "path" | "tags" (see parseOpml)
+ * @returns {Array} Array of blog entries (same shape as parseOpml)
+ */
+export function parseReaderExport(type, content, options = {}) {
+  const { folderMode = "path" } = options;
+  const format = READER_EXPORTS[type];
+
+  if (!format) {
+    throw new Error(`Unsupported export type: ${type}`);
+  }
+
+  // A feed listed in several folders is imported once, from the first
+  const seen = new Set();
+  const blogs = [];
+
+  for (const subscription of format.parse(content)) {
+    if (seen.has(subscription.feedUrl)) continue;
+    seen.add(subscription.feedUrl);
+    blogs.push(subscriptionToBlog(subscription, folderMode));
+  }
+
+  return blogs;
+}
+
+/**
+ * Read an uploaded feed reader export
+ * Like readOpmlFile, checks the file lists feeds so broken exports are
+ * rejected on upload rather than on first sync.
+ * @param {string} type - Source type (a READER_EXPORTS key)
+ * @param {Buffer} buffer - File contents
+ * @param {object} [options] - Parse options (see parseReaderExport)
+ * @returns {object} { content, encoding, feeds }
+ */
+export function readReaderExportFile(type, buffer, options = {}) {
+  const { text, encoding } = decodeText(buffer);
+  const blogs = parseReaderExport(type, text, options);
+
+  if (blogs.length === 0) {
+    throw new Error(`The ${READER_EXPORTS[type].name} export lists no feeds`);
+  }
+
+  return { content: text, encoding, feeds: blogs.length };
+}
+
+/**
+ * Convert a subscription read from an export to a blog entry
+ * @param {object} subscription - Subscription
+ * @param {string} subscription.feedUrl - Feed URL
+ * @param {string} [subscription.title] - Title
+ * @param {string} [subscription.siteUrl] - Site URL
+ * @param {string} [subscription.photo] - Icon URL
+ * @param {Array<string>} subscription.folders - Folder path
+ * @param {Array<string>} [subscription.labels] - Further folders it is filed in
+ * @param {string} folderMode - "path" | "tags"
+ * @returns {object} Blog entry
+ */
+function subscriptionToBlog(subscription, folderMode) {
+  const { folders, labels = [] } = subscription;
+
+  const blog = {
+    title: subscription.title || subscription.feedUrl,
+    feedUrl: subscription.feedUrl,
+    siteUrl: subscription.siteUrl || "",
+    feedType: "rss",
+    category: folderMode === "tags" ? folders[0] || "" : folders.join("/"),
+  };
+
+  const tags = [...(folderMode === "tags" ? folders : []), ...labels];
+  if (tags.length > 0) blog.tags = [...new Set(tags)];
+
+  if (subscription.photo) blog.photo = subscription.photo;
+
+  return blog;
+}
+
+/**
+ * Parse Google Reader style subscriptions (Feedly, Inoreader, FreshRSS)
+ * The first category is the folder; any others become tags.
+ * @param {*} data - Parsed JSON
+ * @returns {Array<object>} Subscriptions
+ */
+function parseGoogleReaderSubscriptions(data) {
+  const entries = Array.isArray(data) ? data : data?.subscriptions;
+  if (!Array.isArray(entries)) {
+    throw new Error('Expected an array of subscriptions, or an object with a "subscriptions" array');
+  }
+
+  const subscriptions = [];
+
+  for (const entry of entries) {
+    const id = stringOrEmpty(entry?.id);
+    const feedUrl = httpUrl(entry?.url) || httpUrl(entry?.feedUrl) || httpUrl(id.replace(/^feed\//, ""));
+    if (!feedUrl) continue;
+
+    const labels = (Array.isArray(entry.categories) ? entry.categories : [])
+      .map((category) => stringOrEmpty(category?.label) || stringOrEmpty(category?.id).split("/").pop())
+      .filter(Boolean);
+
+    subscriptions.push({
+      feedUrl,
+      title: stringOrEmpty(entry.title),
+      siteUrl: httpUrl(entry.website) || httpUrl(entry.htmlUrl) || "",
+      photo: httpUrl(entry.iconUrl) || httpUrl(entry.visualUrl),
+      folders: labels.slice(0, 1),
+      labels: labels.slice(1),
+    });
+  }
+
+  return subscriptions;
+}
+
+/**
+ * Parse a Miniflux feed list
+ * @param {*} data - Parsed JSON
+ * @returns {Array<object>} Subscriptions
+ */
+function parseMinifluxFeeds(data) {
+  const entries = Array.isArray(data) ? data : data?.feeds;
+  if (!Array.isArray(entries)) {
+    throw new Error('Expected an array of feeds, or an object with a "feeds" array');
+  }
+
+  const subscriptions = [];
+
+  for (const entry of entries) {
+    const feedUrl = httpUrl(entry?.feed_url);
+    if (!feedUrl) continue;
+
+    const category = stringOrEmpty(entry.category?.title);
+
+    subscriptions.push({
+      feedUrl,
+      title: stringOrEmpty(entry.title),
+      siteUrl: httpUrl(entry.site_url) || "",
+      folders: category ? [category] : [],
+    });
+  }
+
+  return subscriptions;
+}
+
+/**
+ * Parse a NewsBlur backup
+ * Folders nest at any depth. Feeds missing from the folder tree are still
+ * imported, without a folder.
+ * @param {*} data - Parsed JSON
+ * @returns {Array<object>} Subscriptions
+ */
+function parseNewsblurBackup(data) {
+  const feeds = data?.feeds;
+  if (!feeds || typeof feeds !== "object") {
+    throw new Error('Expected a NewsBlur backup with a "feeds" object');
+  }
+
+  // Backups store the folder tree as a JSON string
+  let tree = data.folders;
+  if (typeof tree === "string") {
+    tree = parseJson(tree);
+  }
+
+  const subscriptions = [];
+  const placed = new Set();
+
+  const add = (feedId, folders) => {
+    const feed = feeds[feedId];
+    const feedUrl = httpUrl(feed?.feed_address);
+    if (!feedUrl) return;
+
+    placed.add(String(feedId));
+    subscriptions.push({
+      feedUrl,
+      title: stringOrEmpty(feed.feed_title),
+      siteUrl: httpUrl(feed.feed_link) || "",
+      photo: httpUrl(feed.favicon_url),
+      folders,
+    });
+  };
+
+  const walk = (children, folders) => {
+    for (const child of Array.isArray(children) ? children : []) {
+      if (typeof child === "number" || typeof child === "string") {
+        add(child, folders);
+      } else if (child && typeof child === "object") {
+        for (const [name, nested] of Object.entries(child)) {
+          const folder = name.trim();
+          walk(nested, folder ? [...folders, folder] : folders);
+        }
+      }
+    }
+  };
+
+  walk(tree, []);
+
+  for (const feedId of Object.keys(feeds)) {
+    if (!placed.has(feedId)) add(feedId, []);
+  }
+
+  return subscriptions;
+}
+
+/**
+ * Parse a Netscape bookmark file for feed links
+ * Folder names come from the <H3> heading before each nested <DL>.
+ * @param {string} content - Bookmark HTML
+ * @returns {Array<object>} Subscriptions
+ */
+function parseBookmarks(content) {
+  if (!/<dl[\s>]/i.test(content)) {
+    throw new Error("Not a bookmarks file");
+  }
+
+  const subscriptions = [];
+  // One entry per open <DL>: its folder name, or null for unnamed lists
+  const lists = [];
+  let heading = null;
+  let link = null;
+  let text = "";
+
+  const parser = new Parser(
+    {
+      onopentag(name, attributes) {
+        if (name === "h3" || name === "a") text = "";
+        if (name === "a") link = attributes;
+        if (name === "dl") {
+          lists.push(heading);
+          heading = null;
+        }
+      },
+      ontext(data) {
+        text += data;
+      },
+      onclosetag(name) {
+        if (name === "h3") {
+          heading = text.trim() || null;
+        } else if (name === "dl") {
+          lists.pop();
+        } else if (name === "a" && link) {
+          const subscription = bookmarkToSubscription(link, text.trim());
+          if (subscription) {
+            subscription.folders = lists.filter(Boolean);
+            subscriptions.push(subscription);
+          }
+          link = null;
+        }
+      },
+    },
+    { decodeEntities: true, lowerCaseAttributeNames: true }
+  );
+
+  parser.write(content);
+  parser.end();
+
+  return subscriptions;
+}
+
+/**
+ * Turn a bookmark into a subscription if it points to a feed
+ * @param {object} attributes - Link attributes
+ * @param {string} title - Link text
+ * @returns {object|null} Subscription
+ */
+function bookmarkToSubscription(attributes, title) {
+  const href = httpUrl(attributes.href);
+
+  // Live bookmarks carry the feed separately from the site link
+  const feedUrl = httpUrl(attributes.feedurl);
+  if (feedUrl) {
+    return { feedUrl, title, siteUrl: href || "" };
+  }
+
+  if (!href) return null;
+  const { origin, pathname, search } = new URL(href);
+  if (!FEED_PATH.test(pathname) && !FEED_QUERY.test(search)) return null;
+
+  return { feedUrl: href, title, siteUrl: origin };
+}
+
+/**
+ * Parse JSON export contents
+ * @param {string} content - JSON content
+ * @returns {*} Parsed JSON
+ */
+function parseJson(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+}
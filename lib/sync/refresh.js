@@ -0,0 +1,181 @@
+/**
+ * Adaptive per-blog refresh scheduling
+ * @module sync/refresh
+ *
+ * Each blog gets its own `nextFetchAt`, derived from how often it posts
+ * and bounded by whatever caching hints the feed or server provides.
+ */
+
+import { getRecentPublishedDates } from "../storage/items.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Number of recent items used to estimate posting frequency
+const FREQUENCY_SAMPLE_SIZE = 10;
+
+// sy:updatePeriod values (RSS Syndication module)
+const UPDATE_PERIODS = {
+  hourly: HOUR,
+  daily: 24 * HOUR,
+  weekly: 7 * 24 * HOUR,
+  monthly: 30 * 24 * HOUR,
+  yearly: 365 * 24 * HOUR,
+};
+
+/**
+ * Extract refresh hints from parsed feed metadata
+ * @param {object} meta - FeedParser meta object
+ * @returns {object} Hints in ms: { ttl, updatePeriod }
+ */
+export function parseFeedRefreshHints(meta) {
+  const hints = {};
+  if (!meta) return hints;
+
+  // RSS <ttl> is in minutes
+  const ttl = Number.parseInt(meta["rss:ttl"]?.["#"], 10);
+  if (ttl > 0) hints.ttl = ttl * MINUTE;
+
+  // FeedParser normalizes the sy: prefix to syn:
+  const period = (meta["syn:updateperiod"]?.["#"] || "").trim().toLowerCase();
+  if (UPDATE_PERIODS[period]) {
+    const frequency = Number.parseInt(meta["syn:updatefrequency"]?.["#"], 10) || 1;
+    hints.updatePeriod = Math.round(UPDATE_PERIODS[period] / Math.max(frequency, 1));
+  }
+
+  return hints;
+}
+
+/**
+ * Extract refresh hints from HTTP response headers
+ * @param {Headers} headers - Fetch response headers
+ * @returns {object} Hints in ms: { maxAge, retryAfter }
+ */
+export function parseHttpRefreshHints(headers) {
+  const hints = {};
+
+  const cacheControl = headers.get("Cache-Control") || "";
+  const maxAge = /(?:^|,)\s*max-age=(\d+)/i.exec(cacheControl);
+  if (maxAge && Number(maxAge[1]) > 0) {
+    hints.maxAge = Number(maxAge[1]) * 1000;
+  }
+
+  const retryAfter = parseRetryAfter(headers.get("Retry-After"));
+  if (retryAfter) hints.retryAfter = retryAfter;
+
+  return hints;
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|undefined} Delay in ms
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return undefined;
+
+  const delay = date - Date.now();
+  return delay > 0 ? delay : undefined;
+}
+
+/**
+ * Estimate a refresh interval from posting history
+ * Polls roughly twice per posting period, backing off for blogs that went quiet.
+ * @param {Array<string|Date>} publishedDates - Recent published dates, any order
+ * @param {number} fallback - Interval used when there is no history
+ * @returns {number} Interval in ms
+ */
+export function estimatePostingInterval(publishedDates, fallback) {
+  const times = publishedDates
+    .map((date) => new Date(date).getTime())
+    .filter((time) => !Number.isNaN(time) && time <= Date.now())
+    .sort((a, b) => b - a);
+
+  if (times.length === 0) return fallback;
+
+  const sinceLastPost = Date.now() - times[0];
+  const averageGap =
+    times.length > 1 ? (times[0] - times.at(-1)) / (times.length - 1) : sinceLastPost;
+
+  return Math.max(averageGap, sinceLastPost) / 2;
+}
+
+/**
+ * Compute when a blog should next be fetched
+ * @param {object} application - Application instance
+ * @param {object} blog - Blog document
+ * @param {object} options - Options
+ * @param {object} [options.hints] - Feed and HTTP refresh hints (ms)
+ * @param {number} [options.minInterval] - Shortest interval in ms
+ * @param {number} [options.maxInterval] - Longest interval in ms
+ * @returns {Promise<string>} ISO date of the next fetch
+ */
+export async function computeNextFetchAt(application, blog, options = {}) {
+  const { hints = {}, minInterval = HOUR, maxInterval = 24 * HOUR } = options;
+
+  // A server asking us to back off wins over everything else
+  if (hints.retryAfter) {
+    return new Date(Date.now() + hints.retryAfter).toISOString();
+  }
+
+  const publishedDates = await getRecentPublishedDates(
+    application,
+    blog._id,
+    FREQUENCY_SAMPLE_SIZE
+  );
+  if (publishedDates.length === 0 && blog.lastItemAt) {
+    publishedDates.push(blog.lastItemAt);
+  }
+
+  // Publisher hints are lower bounds: never poll faster than asked
+  let interval = Math.max(
+    estimatePostingInterval(publishedDates, maxInterval),
+    hints.ttl || 0,
+    hints.updatePeriod || 0,
+    hints.maxAge || 0
+  );
+  interval = Math.min(Math.max(interval, minInterval), maxInterval);
+
+  return new Date(Date.now() + interval).toISOString();
+}
+
+/**
+ * Compute backoff state after a failed fetch
+ * The retry delay doubles with each consecutive failure, starting at
+ * `baseInterval`. A blog failing for longer than `deadAfter` is given up on.
+ * @param {object} blog - Blog document (before this failure)
+ * @param {object} options - Options
+ * @param {number} [options.baseInterval] - Delay after the first failure in ms
+ * @param {number} [options.maxInterval] - Longest delay in ms
+ * @param {number} [options.deadAfter] - Failure streak duration before giving up, in ms
+ * @param {number} [options.retryAfter] - Server-requested delay in ms
+ * @returns {object} { consecutiveFailures, failingSince, nextFetchAt, dead }
+ */
+export function computeFailureBackoff(blog, options = {}) {
+  const {
+    baseInterval = HOUR,
+    maxInterval = 24 * HOUR,
+    deadAfter = 14 * 24 * HOUR,
+    retryAfter = 0,
+  } = options;
+
+  const consecutiveFailures = (blog.consecutiveFailures || 0) + 1;
+  const failingSince = blog.failingSince || new Date().toISOString();
+
+  const backoff = Math.min(baseInterval * 2 ** (consecutiveFailures - 1), maxInterval);
+  const delay = Math.max(backoff, retryAfter);
+
+  return {
+    consecutiveFailures,
+    failingSince,
+    nextFetchAt: new Date(Date.now() + delay).toISOString(),
+    dead: Date.now() - new Date(failingSince).getTime() >= deadAfter,
+  };
+}
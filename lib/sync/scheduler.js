@@ -4,12 +4,16 @@
  */
 
 import { getSources } from "../storage/sources.js";
-import { getBlogs, countBlogs } from "../storage/blogs.js";
-import { countItems, deleteOldItems } from "../storage/items.js";
+import { countBlogs, getBlogsDueForRefresh } from "../storage/blogs.js";
+import { countItems, deleteOldItems, getMaxItemAge } from "../storage/items.js";
 import { syncOpmlSource } from "./opml.js";
 import { syncMicrosubSource } from "./microsub.js";
 import { syncFeedlandSource } from "./feedland.js";
+import { READER_EXPORT_TYPES } from "./reader-exports.js";
 import { syncBlogItems } from "./feed.js";
+import { runWithConcurrency, hostKey } from "../utils/concurrency.js";
+import { ensureIndexes } from "../storage/indexes.js";
+import { renewWebSubLeases } from "./websub.js";
 
 let syncInterval = null;
 let isRunning = false;
@@ -24,7 +28,15 @@ export async function runFullSync(application, options = {}) {
   const {
     maxItemsPerBlog = 50,
     fetchTimeout = 15000,
-    maxItemAge = 7, // days - encourage discovery with fresh content
+    maxItemAge = getMaxItemAge(application), // days - encourage discovery with fresh content
+    syncConcurrency = 5,
+    syncInterval = 3600000,
+    maxRefreshInterval = 86400000,
+    deadAfterDays = 14,
+    itemTtl = false, // old items are expired by a TTL index instead
+    force = false, // refresh every blog, ignoring nextFetchAt
+    websub = true, // subscribe to hubs of blogs that advertise one
+    websubPollInterval = 86400000, // fallback polling of blogs with push updates
   } = options;
 
   if (isRunning) {
@@ -37,13 +49,17 @@ export async function runFullSync(application, options = {}) {
   const startTime = Date.now();
 
   try {
-    // First, clean up old items to encourage discovery
-    const deletedItems = await deleteOldItems(application, maxItemAge);
-
-    // Sync all enabled sources (OPML, JSON, Microsub)
+    // First, clean up old items to encourage discovery. With a TTL index
+    // only blogs with their own retention still need cleaning here.
+    const deletedItems = await deleteOldItems(application, maxItemAge, {
+      overridesOnly: itemTtl,
+    });
+
+    // Sync all enabled sources (OPML, JSON, reader exports, Microsub, FeedLand)
+    const sourceTypes = ["opml_url", "opml_file", "json_feed", "microsub", "feedland", ...READER_EXPORT_TYPES];
     const sources = await getSources(application);
     const enabledSources = sources.filter(
-      (s) => s.enabled && ["opml_url", "opml_file", "json_feed", "microsub", "feedland"].includes(s.type)
+      (s) => s.enabled && !s.awaitingReview && sourceTypes.includes(s.type)
     );
 
     let sourcesSuccess = 0;
@@ -67,43 +83,61 @@ export async function runFullSync(application, options = {}) {
       }
     }
 
-    // Sync all non-hidden blogs (skip microsub blogs - their items come from Microsub)
-    const blogs = await getBlogs(application, { includeHidden: false, limit: 1000 });
+    // Refresh blogs whose adaptive schedule says they are due, or every
+    // refreshable blog when forced. Blogs due before the midpoint of the next
+    // run are taken now rather than waiting a full interval.
+    // Microsub blogs are never fetched - items are served directly from microsub_items
+    const blogsToFetch = await getBlogsDueForRefresh(application, {
+      dueWithin: syncInterval / 2,
+      force,
+    });
 
     let blogsSuccess = 0;
     let blogsFailed = 0;
-    let blogsSkipped = 0;
     let newItems = 0;
 
-    for (const blog of blogs) {
-      // Skip microsub blogs - items are served directly from microsub_items
-      if (blog.source === "microsub" || blog.skipItemFetch) {
-        blogsSkipped++;
-        continue;
+    // Fetch in parallel, but never more than one request per host at a time
+    await runWithConcurrency(
+      blogsToFetch,
+      async (blog) => {
+        try {
+          const result = await syncBlogItems(application, blog, {
+            maxItems: maxItemsPerBlog,
+            timeout: fetchTimeout,
+            syncInterval,
+            maxRefreshInterval,
+            deadAfterDays,
+            websub,
+            websubPollInterval,
+          });
+
+          if (result.success) {
+            blogsSuccess++;
+            newItems += result.added || 0;
+          } else {
+            blogsFailed++;
+          }
+        } catch (error) {
+          console.error(`[Blogroll] Blog sync failed (${blog.title}):`, error.message);
+          blogsFailed++;
+        }
+      },
+      {
+        concurrency: syncConcurrency,
+        perKeyLimit: 1,
+        keyFor: (blog) => hostKey(blog.feedUrl),
       }
+    );
 
+    // Blogs with push updates are polled rarely, so renew their leases here
+    if (websub) {
       try {
-        const result = await syncBlogItems(application, blog, {
-          maxItems: maxItemsPerBlog,
-          timeout: fetchTimeout,
-        });
-
-        if (result.success) {
-          blogsSuccess++;
-          newItems += result.added || 0;
-        } else {
-          blogsFailed++;
-        }
+        await renewWebSubLeases(application);
       } catch (error) {
-        console.error(`[Blogroll] Blog sync failed (${blog.title}):`, error.message);
-        blogsFailed++;
+        console.error("[Blogroll] WebSub lease renewal failed:", error.message);
       }
     }
 
-    if (blogsSkipped > 0) {
-      console.log(`[Blogroll] Skipped ${blogsSkipped} Microsub blogs (items served from Microsub)`);
-    }
-
     const duration = Date.now() - startTime;
 
     // Update sync stats in meta collection
@@ -121,7 +155,7 @@ export async function runFullSync(application, options = {}) {
             failed: sourcesFailed,
           },
           blogs: {
-            total: blogs.length,
+            total: blogsToFetch.length,
             success: blogsSuccess,
             failed: blogsFailed,
           },
@@ -137,7 +171,7 @@ export async function runFullSync(application, options = {}) {
     console.log(
       `[Blogroll] Full sync complete in ${duration}ms: ` +
         `${sourcesSuccess}/${enabledSources.length} sources, ` +
-        `${blogsSuccess}/${blogs.length} blogs, ` +
+        `${blogsSuccess}/${blogsToFetch.length} due blogs, ` +
         `${newItems} new items, ${deletedItems} old items removed`
     );
 
@@ -145,7 +179,7 @@ export async function runFullSync(application, options = {}) {
       success: true,
       duration,
       sources: { total: enabledSources.length, success: sourcesSuccess, failed: sourcesFailed },
-      blogs: { total: blogs.length, success: blogsSuccess, failed: blogsFailed },
+      blogs: { total: blogsToFetch.length, success: blogsSuccess, failed: blogsFailed },
       items: { added: newItems, deleted: deletedItems },
     };
   } catch (error) {
@@ -170,19 +204,12 @@ export async function getSyncStatus(application) {
     db.collection("blogrollMeta").findOne({ key: "syncStats" }),
   ]);
 
-  // Convert Date to ISO string for template date filter compatibility
-  const lastSync = syncStats?.lastFullSync
-    ? (syncStats.lastFullSync instanceof Date
-        ? syncStats.lastFullSync.toISOString()
-        : syncStats.lastFullSync)
-    : null;
-
   return {
     status: "ok",
     isRunning,
     blogs: { count: blogCount },
     items: { count: itemCount },
-    lastSync,
+    lastSync: syncStats?.lastFullSync || null,
     lastSyncStats: syncStats || null,
   };
 }
@@ -210,12 +237,18 @@ export async function clearAndResync(application, options = {}) {
         lastFetchAt: null,
         status: "active",
         lastError: null,
+        // Drop cache validators so the next fetch returns full feeds
+        etag: null,
+        lastModified: null,
+        nextFetchAt: null,
+        consecutiveFailures: 0,
+        failingSince: null,
       },
     }
   );
 
   // Run full sync
-  return runFullSync(application, options);
+  return runFullSync(application, { ...options, force: true });
 }
 
 /**
@@ -224,12 +257,18 @@ export async function clearAndResync(application, options = {}) {
  * @param {object} options - Options
  */
 export function startSync(Indiekit, options) {
-  const { syncInterval: interval, maxItemAge = 7 } = options;
   const application = Indiekit.config.application;
+  const { syncInterval: interval, maxItemAge = getMaxItemAge(application) } = options;
+
+  // Create indexes right away; the initial sync waits for them
+  const indexesReady = application.getBlogrollDb()
+    ? ensureIndexes(application, { itemTtl: options.itemTtl, maxItemAge })
+    : Promise.resolve();
 
   // Initial sync after short delay (let server start up)
   setTimeout(async () => {
     if (application.getBlogrollDb()) {
+      await indexesReady;
       console.log("[Blogroll] Running initial sync...");
       await runFullSync(application, { ...options, maxItemAge });
     }
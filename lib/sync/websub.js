@@ -0,0 +1,339 @@
+/**
+ * WebSub (PubSubHubbub) push subscriptions
+ * Blogs whose feed advertises a hub are subscribed to it, so new posts are
+ * pushed to the callback route instead of waiting for the next poll.
+ * @module sync/websub
+ */
+
+import crypto from "node:crypto";
+
+import {
+  getBlog,
+  getBlogsWithExpiringWebSub,
+  recordWebSubDelivery,
+  updateBlogWebSub,
+} from "../storage/blogs.js";
+import { parseFeed, storeFeedItems } from "./feed.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Lease asked for; hubs may grant a different one
+const LEASE_SECONDS = 7 * 24 * 60 * 60;
+
+// Leases are renewed this long before they expire
+const RENEW_BEFORE = 2 * DAY;
+
+// Unanswered, refused or failed subscription requests are retried after this
+const RETRY_AFTER = 6 * 60 * 60 * 1000;
+
+// Signature algorithms accepted in X-Hub-Signature
+const SIGNATURE_ALGORITHMS = new Set(["sha1", "sha256", "sha384", "sha512"]);
+
+/**
+ * Whether a blog receives pushed updates
+ * @param {object} blog - Blog document
+ * @returns {boolean} Whether its WebSub lease is current
+ */
+export function isWebSubActive(blog) {
+  return (
+    blog.websub?.state === "subscribed" &&
+    new Date(blog.websub.leaseExpiresAt).getTime() > Date.now()
+  );
+}
+
+/**
+ * Get the callback URL hubs deliver a blog's updates to
+ * @param {object} application - Application instance
+ * @param {object} blog - Blog document
+ * @returns {string|null} Callback URL, or null without a public URL
+ */
+export function getWebSubCallbackUrl(application, blog) {
+  const mountPath = application.blogrollConfig?.mountPath || "/blogrollapi";
+  if (!application.url) return null;
+
+  return new URL(`${mountPath}/websub/${blog._id}`, application.url).href;
+}
+
+/**
+ * Subscribe to (or unsubscribe from) a blog's hub
+ * The hub verifies the request asynchronously through the callback.
+ * @param {object} application - Application instance
+ * @param {object} blog - Blog document
+ * @param {object} link - { hub, topic }
+ * @param {string} [mode] - "subscribe" or "unsubscribe"
+ * @returns {Promise<object>} { success, error }
+ */
+export async function requestWebSubSubscription(application, blog, link, mode = "subscribe") {
+  const callback = getWebSubCallbackUrl(application, blog);
+  if (!callback) {
+    return { success: false, error: "No public URL to receive WebSub callbacks" };
+  }
+
+  // Keep the secret while the hub stays the same, so in-flight deliveries still verify
+  const secret =
+    blog.websub?.hub === link.hub && blog.websub?.secret
+      ? blog.websub.secret
+      : crypto.randomBytes(32).toString("hex");
+
+  const body = new URLSearchParams({
+    "hub.mode": mode,
+    "hub.topic": link.topic,
+    "hub.callback": callback,
+  });
+  if (mode === "subscribe") {
+    body.set("hub.secret", secret);
+    body.set("hub.lease_seconds", String(LEASE_SECONDS));
+  }
+
+  const now = new Date().toISOString();
+  // A renewal keeps the current lease (and slow polling) until it is verified
+  const renewing = isWebSubActive(blog) && blog.websub.hub === link.hub;
+
+  try {
+    const response = await fetch(link.hub, {
+      method: "POST",
+      headers: { "User-Agent": "Indiekit-Blogroll/1.0" },
+      body,
+      signal: AbortSignal.timeout(15000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Hub responded HTTP ${response.status}`);
+    }
+
+    await updateBlogWebSub(
+      application,
+      blog._id,
+      {
+        hub: link.hub,
+        topic: link.topic,
+        secret,
+        state: mode === "unsubscribe" ? "unsubscribing" : renewing ? "subscribed" : "pending",
+        leaseExpiresAt: blog.websub?.leaseExpiresAt || null,
+        requestedAt: now,
+        error: null,
+      },
+      { replace: true }
+    );
+
+    return { success: true };
+  } catch (error) {
+    console.error(`[Blogroll] WebSub ${mode} failed (${blog.title}):`, error.message);
+
+    if (mode === "subscribe") {
+      await updateBlogWebSub(
+        application,
+        blog._id,
+        {
+          hub: link.hub,
+          topic: link.topic,
+          secret,
+          state: renewing ? "subscribed" : "failed",
+          leaseExpiresAt: blog.websub?.leaseExpiresAt || null,
+          requestedAt: now,
+          error: error.message,
+        },
+        { replace: true }
+      );
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Subscribe to a blog's hub if it isn't already
+ * Called after each poll with the hub the feed advertises.
+ * @param {object} application - Application instance
+ * @param {object} blog - Blog document
+ * @param {object|null} link - Advertised { hub, topic }, or null
+ * @returns {Promise<void>}
+ */
+export async function ensureWebSubSubscription(application, blog, link) {
+  const current = blog.websub;
+
+  if (!link) {
+    // The blog stopped advertising a hub: fall back to polling
+    if (current) await updateBlogWebSub(application, blog._id, null);
+    return;
+  }
+
+  const sameLink = current?.hub === link.hub && current?.topic === link.topic;
+  const requestedAgo = Date.now() - new Date(current?.requestedAt || 0).getTime();
+
+  if (sameLink) {
+    const expiresIn = new Date(current.leaseExpiresAt || 0).getTime() - Date.now();
+    if (isWebSubActive(blog) && expiresIn > RENEW_BEFORE) return;
+
+    // Awaiting verification, or refused or failed recently
+    if (requestedAgo < RETRY_AFTER) return;
+  }
+
+  await requestWebSubSubscription(application, blog, link);
+}
+
+/**
+ * Renew WebSub leases that are about to expire
+ * Blogs with push are polled rarely, so leases are renewed on each sync
+ * rather than waiting for the blog's next poll.
+ * @param {object} application - Application instance
+ * @returns {Promise<number>} Renewal requests sent
+ */
+export async function renewWebSubLeases(application) {
+  const blogs = await getBlogsWithExpiringWebSub(
+    application,
+    new Date(Date.now() + RENEW_BEFORE)
+  );
+
+  const renewable = blogs.filter(
+    (blog) => Date.now() - new Date(blog.websub.requestedAt || 0).getTime() >= RETRY_AFTER
+  );
+
+  for (const blog of renewable) {
+    await requestWebSubSubscription(application, blog, {
+      hub: blog.websub.hub,
+      topic: blog.websub.topic,
+    });
+  }
+
+  return renewable.length;
+}
+
+/**
+ * Answer a hub's verification of intent
+ * @param {object} application - Application instance
+ * @param {string} blogId - Blog ID from the callback URL
+ * @param {object} query - Callback query (hub.mode, hub.topic, ...)
+ * @returns {Promise<object>} { status, body }
+ */
+export async function verifyWebSubIntent(application, blogId, query) {
+  const blog = await getBlog(application, blogId);
+  const mode = query["hub.mode"];
+  const websub = blog?.websub;
+
+  if (!websub || websub.topic !== query["hub.topic"]) {
+    return { status: 404, body: "Unknown subscription" };
+  }
+
+  if (mode === "denied") {
+    console.log(
+      `[Blogroll] WebSub subscription denied (${blog.title}): ${query["hub.reason"] || "no reason given"}`
+    );
+    await updateBlogWebSub(application, blog._id, {
+      state: "denied",
+      error: query["hub.reason"] || "Denied by hub",
+    });
+    return { status: 200, body: "" };
+  }
+
+  const awaitingVerification = ["pending", "subscribed"].includes(websub.state);
+  if (mode === "subscribe" && awaitingVerification && blog.status !== "deleted") {
+    const leaseSeconds = Number.parseInt(query["hub.lease_seconds"], 10) || LEASE_SECONDS;
+
+    await updateBlogWebSub(application, blog._id, {
+      state: "subscribed",
+      leaseExpiresAt: new Date(Date.now() + leaseSeconds * 1000).toISOString(),
+      subscribedAt: new Date().toISOString(),
+      error: null,
+    });
+    return { status: 200, body: query["hub.challenge"] || "" };
+  }
+
+  if (mode === "unsubscribe" && websub.state === "unsubscribing") {
+    await updateBlogWebSub(application, blog._id, null);
+    return { status: 200, body: query["hub.challenge"] || "" };
+  }
+
+  return { status: 404, body: "Subscription not requested" };
+}
+
+/**
+ * Check the X-Hub-Signature of a delivery
+ * @param {Buffer} body - Raw request body
+ * @param {string|undefined} header - X-Hub-Signature header, e.g. "sha256=..."
+ * @param {string} secret - Subscription secret
+ * @returns {boolean} Whether the signature is valid
+ */
+export function verifyWebSubSignature(body, header, secret) {
+  const [algorithm, signature] = (header || "").split("=");
+  if (!SIGNATURE_ALGORITHMS.has(algorithm) || !signature) return false;
+
+  const expected = crypto.createHmac(algorithm, secret).update(body).digest();
+  const received = Buffer.from(signature, "hex");
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Accept content delivered by a hub
+ * Unsigned or wrongly signed deliveries are dropped. WebSub asks
+ * subscribers to acknowledge them anyway, so the sender learns nothing.
+ * Valid deliveries are acknowledged at once and stored in the background,
+ * as fetching full content can take longer than hubs wait.
+ * @param {object} application - Application instance
+ * @param {string} blogId - Blog ID from the callback URL
+ * @param {object} delivery - Delivery
+ * @param {Buffer} delivery.body - Raw request body
+ * @param {string} [delivery.contentType] - Content-Type header
+ * @param {string} [delivery.signature] - X-Hub-Signature header
+ * @returns {Promise<object>} { status, accepted }
+ */
+export async function receiveWebSubContent(application, blogId, delivery) {
+  const blog = await getBlog(application, blogId);
+
+  if (!blog || blog.status === "deleted") {
+    // 410 tells the hub to stop delivering
+    return { status: 410, accepted: false };
+  }
+
+  // Pending subscriptions can already receive content; the signature proves its origin
+  if (!["subscribed", "pending"].includes(blog.websub?.state)) {
+    return { status: 404, accepted: false };
+  }
+
+  const signed =
+    Buffer.isBuffer(delivery.body) &&
+    verifyWebSubSignature(delivery.body, delivery.signature, blog.websub.secret);
+  if (!signed) {
+    console.log(`[Blogroll] Ignoring WebSub delivery with an invalid signature (${blog.title})`);
+    return { status: 202, accepted: false };
+  }
+
+  storeWebSubDelivery(application, blog, delivery).catch((error) => {
+    console.error(`[Blogroll] WebSub delivery failed (${blog.title}):`, error.message);
+  });
+
+  return { status: 202, accepted: true };
+}
+
+/**
+ * Parse and store a verified delivery
+ * @param {object} application - Application instance
+ * @param {object} blog - Blog document
+ * @param {object} delivery - Delivery (see receiveWebSubContent)
+ * @returns {Promise<number>} New items
+ */
+async function storeWebSubDelivery(application, blog, delivery) {
+  const config = application.blogrollConfig || {};
+  const feed = await parseFeed(delivery.body.toString("utf8"), {
+    contentType: delivery.contentType,
+    feedUrl: blog.feedUrl,
+    maxItems: config.maxItemsPerBlog,
+    // Same UIDs as polling, so pushed and polled items don't duplicate
+    uidBase: blog.previousFeedUrls?.[0] || blog.feedUrl,
+    sanitizeProfile: config.sanitizeProfile,
+  });
+
+  const { added, newestDate } = await storeFeedItems(application, blog, feed.items, {
+    timeout: config.fetchTimeout,
+    sanitizeProfile: config.sanitizeProfile,
+  });
+
+  await recordWebSubDelivery(application, blog._id, newestDate);
+
+  if (added > 0) {
+    console.log(`[Blogroll] WebSub delivered ${added} new items (${blog.title})`);
+  }
+
+  return added;
+}
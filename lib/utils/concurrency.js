@@ -0,0 +1,84 @@
+/**
+ * Bounded-parallel task runner with per-key limits
+ * @module utils/concurrency
+ */
+
+/**
+ * Run a worker over items with a global concurrency limit
+ * Items sharing a key (e.g. a feed host) never run more than
+ * `perKeyLimit` at a time; other items are picked up meanwhile.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called with each item
+ * @param {object} options - Options
+ * @param {number} [options.concurrency] - Max tasks running at once
+ * @param {number} [options.perKeyLimit] - Max tasks per key running at once
+ * @param {Function} [options.keyFor] - Returns the key for an item (or null)
+ * @returns {Promise<Array>} Settled results in item order (like Promise.allSettled)
+ */
+export function runWithConcurrency(items, worker, options = {}) {
+  const { perKeyLimit = 1, keyFor = () => null } = options;
+  const concurrency = Math.max(1, Number(options.concurrency) || 1);
+
+  const pending = items.map((item, index) => ({ item, index, key: keyFor(item) }));
+  const activeByKey = new Map();
+  const results = Array.from({ length: items.length });
+  let running = 0;
+
+  return new Promise((resolve) => {
+    const isAvailable = (task) =>
+      !task.key || (activeByKey.get(task.key) || 0) < perKeyLimit;
+
+    const next = () => {
+      if (pending.length === 0 && running === 0) {
+        resolve(results);
+        return;
+      }
+
+      while (running < concurrency) {
+        const position = pending.findIndex(isAvailable);
+        if (position === -1) break; // Wait for a busy key to free up
+
+        const [task] = pending.splice(position, 1);
+        running++;
+        if (task.key) {
+          activeByKey.set(task.key, (activeByKey.get(task.key) || 0) + 1);
+        }
+
+        Promise.resolve()
+          .then(() => worker(task.item))
+          .then(
+            (value) => {
+              results[task.index] = { status: "fulfilled", value };
+            },
+            (reason) => {
+              results[task.index] = { status: "rejected", reason };
+            }
+          )
+          .finally(() => {
+            running--;
+            if (task.key) {
+              const active = activeByKey.get(task.key) - 1;
+              if (active > 0) activeByKey.set(task.key, active);
+              else activeByKey.delete(task.key);
+            }
+            next();
+          });
+      }
+    };
+
+    next();
+  });
+}
+
+/**
+ * Get the host of a URL, for use as a concurrency key
+ * @param {string} url - URL
+ * @returns {string|null} Lowercased hostname, or null if invalid
+ */
+export function hostKey(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Text encoding detection for uploaded files
+ * @module utils/encoding
+ */
+
+// Byte order marks, checked before anything else
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: "utf-8" },
+  { bytes: [0xff, 0xfe], encoding: "utf-16le" },
+  { bytes: [0xfe, 0xff], encoding: "utf-16be" },
+];
+
+// Bytes of the file searched for an XML declaration
+const DECLARATION_LENGTH = 1024;
+
+/**
+ * Decode an XML file to text
+ * The encoding comes from a byte order mark, then the XML declaration
+ * (`<?xml version="1.0" encoding="ISO-8859-1"?>`). Files declaring
+ * neither are read as in decodeText.
+ * @param {Buffer} buffer - File contents
+ * @returns {object} { text, encoding }
+ */
+export function decodeXml(buffer) {
+  const marked = decodeMarked(buffer);
+  if (marked) return marked;
+
+  // The declaration is ASCII in every encoding it can be read from here
+  const head = buffer.subarray(0, DECLARATION_LENGTH).toString("latin1");
+  const declared = /^\s*<\?xml[^>]*\bencoding\s*=\s*["']([\w.:-]+)["']/i.exec(head)?.[1];
+
+  if (declared) {
+    try {
+      const decoder = new TextDecoder(declared, { fatal: true });
+      return { text: decoder.decode(buffer), encoding: decoder.encoding };
+    } catch {
+      // Unknown label, or bytes that don't match it: detect instead
+    }
+  }
+
+  return decodeUnlabelled(buffer);
+}
+
+/**
+ * Decode a text file (JSON, HTML) to text
+ * The encoding comes from a byte order mark. Files without one are read
+ * as UTF-8, or as Windows-1252 if they aren't valid UTF-8, as some feed
+ * readers export Latin-1 without saying so.
+ * @param {Buffer} buffer - File contents
+ * @returns {object} { text, encoding }
+ */
+export function decodeText(buffer) {
+  return decodeMarked(buffer) || decodeUnlabelled(buffer);
+}
+
+/**
+ * Decode a file starting with a byte order mark
+ * @param {Buffer} buffer - File contents
+ * @returns {object|null} { text, encoding }, or null without a mark
+ */
+function decodeMarked(buffer) {
+  for (const { bytes, encoding } of BOMS) {
+    if (bytes.every((byte, index) => buffer[index] === byte)) {
+      return {
+        text: new TextDecoder(encoding).decode(buffer.subarray(bytes.length)),
+        encoding,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode a file as UTF-8, falling back to Windows-1252
+ * @param {Buffer} buffer - File contents
+ * @returns {object} { text, encoding }
+ */
+function decodeUnlabelled(buffer) {
+  try {
+    return {
+      text: new TextDecoder("utf-8", { fatal: true }).decode(buffer),
+      encoding: "utf-8",
+    };
+  } catch {
+    return {
+      text: new TextDecoder("windows-1252").decode(buffer),
+      encoding: "windows-1252",
+    };
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * Main article extraction from web pages
+ * A small readability-style scorer: paragraphs award points to their
+ * ancestors, and the best scoring container is taken as the article body.
+ * @module utils/readability
+ */
+
+import { parseDocument, DomUtils } from "htmlparser2";
+
+// Never part of an article body
+const REMOVE_TAGS = new Set([
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "iframe",
+  "form",
+  "button",
+  "input",
+  "select",
+  "textarea",
+  "svg",
+  "canvas",
+  "nav",
+  "aside",
+  "footer",
+  "header",
+  "dialog",
+]);
+
+// Class/id hints for page chrome and for article containers
+const UNLIKELY_PATTERN =
+  /banner|breadcrumb|comment|community|cookie|disqus|footer|header|menu|modal|nav|newsletter|pagination|popup|promo|related|remark|share|sharing|sidebar|skip|social|sponsor|subscribe|tags|toolbar|widget/i;
+const LIKELY_PATTERN = /and|article|body|column|content|entry|h-entry|main|post|shadow|story|text/i;
+const POSITIVE_PATTERN = /article|body|content|e-content|entry|h-entry|main|page|post|story|text|blog/i;
+const NEGATIVE_PATTERN =
+  /byline|comment|contact|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/i;
+
+// Elements whose text is scored
+const SCORED_TAGS = new Set(["p", "pre", "td", "blockquote", "li"]);
+
+// Elements that can hold an article
+const CONTAINER_TAGS = new Set(["div", "article", "section", "main", "td", "blockquote", "body"]);
+
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_ARTICLE_LENGTH = 250;
+
+/**
+ * Extract the main article from an HTML page
+ * Relative URLs are left as they are; sanitizing resolves them.
+ * @param {string} html - Page HTML
+ * @returns {object|null} `{ html, text }` of the article, or null when no
+ *   article-sized block of text was found
+ */
+export function extractArticle(html) {
+  const document = parseDocument(html, { decodeEntities: true });
+
+  removeClutter(document);
+
+  const candidate = findMicroformatContent(document) || findTopCandidate(document);
+  if (!candidate) return null;
+
+  const text = normalizeText(DomUtils.textContent(candidate));
+  if (text.length < MIN_ARTICLE_LENGTH) return null;
+
+  return {
+    html: DomUtils.getInnerHTML(candidate),
+    text,
+  };
+}
+
+/**
+ * Remove scripts, navigation and other page chrome
+ * @param {object} document - Parsed document
+ */
+function removeClutter(document) {
+  const elements = DomUtils.findAll(() => true, document.children);
+
+  for (const element of elements) {
+    if (REMOVE_TAGS.has(element.name)) {
+      DomUtils.removeElement(element);
+      continue;
+    }
+
+    const hint = classAndId(element);
+    if (
+      hint &&
+      element.name !== "body" &&
+      element.name !== "article" &&
+      UNLIKELY_PATTERN.test(hint) &&
+      !LIKELY_PATTERN.test(hint)
+    ) {
+      DomUtils.removeElement(element);
+    }
+  }
+}
+
+/**
+ * Find an IndieWeb post body, which needs no guessing
+ * Only the first `h-entry` counts, so archive pages still go through scoring.
+ * @param {object} document - Parsed document
+ * @returns {object|null} `e-content` element of the page's h-entry
+ */
+function findMicroformatContent(document) {
+  const entry = DomUtils.findOne((element) => hasClass(element, "h-entry"), document.children);
+  if (!entry) return null;
+
+  return DomUtils.findOne((element) => hasClass(element, "e-content"), entry.children);
+}
+
+/**
+ * Find the container scoring highest for paragraph text
+ * @param {object} document - Parsed document
+ * @returns {object|null} Best candidate element
+ */
+function findTopCandidate(document) {
+  const scores = new Map();
+
+  const addScore = (element, points) => {
+    if (!element || !CONTAINER_TAGS.has(element.name)) return;
+    if (!scores.has(element)) {
+      scores.set(element, initialScore(element));
+    }
+    scores.set(element, scores.get(element) + points);
+  };
+
+  const paragraphs = DomUtils.findAll((element) => SCORED_TAGS.has(element.name), document.children);
+
+  for (const paragraph of paragraphs) {
+    const text = normalizeText(DomUtils.textContent(paragraph));
+    if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+
+    // One point for the paragraph, one per comma, one per 100 characters (max 3)
+    const points = text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+
+    const parent = DomUtils.getParent(paragraph);
+    addScore(parent, points);
+    addScore(parent && DomUtils.getParent(parent), points / 2);
+  }
+
+  let top = null;
+  let topScore = 0;
+
+  for (const [element, score] of scores) {
+    // Penalize containers made up mostly of links
+    const weighted = score * (1 - linkDensity(element));
+    if (weighted > topScore) {
+      top = element;
+      topScore = weighted;
+    }
+  }
+
+  return top;
+}
+
+/**
+ * Starting score of a container, from its tag and class/id hints
+ * @param {object} element - Element
+ * @returns {number} Score
+ */
+function initialScore(element) {
+  let score = ["article", "main"].includes(element.name) ? 10 : element.name === "div" ? 5 : 0;
+
+  const hint = classAndId(element);
+  if (hint) {
+    if (NEGATIVE_PATTERN.test(hint)) score -= 25;
+    if (POSITIVE_PATTERN.test(hint)) score += 25;
+  }
+
+  return score;
+}
+
+/**
+ * Share of an element's text that is link text
+ * @param {object} element - Element
+ * @returns {number} Link density between 0 and 1
+ */
+function linkDensity(element) {
+  const length = normalizeText(DomUtils.textContent(element)).length;
+  if (length === 0) return 1;
+
+  const linkLength = DomUtils.getElementsByTagName("a", element)
+    .map((link) => normalizeText(DomUtils.textContent(link)).length)
+    .reduce((sum, value) => sum + value, 0);
+
+  return Math.min(linkLength / length, 1);
+}
+
+/**
+ * Get an element's class and id for pattern matching
+ * @param {object} element - Element
+ * @returns {string} Class and id, space separated
+ */
+function classAndId(element) {
+  return `${element.attribs?.class || ""} ${element.attribs?.id || ""}`.trim();
+}
+
+/**
+ * Check whether an element has a class
+ * @param {object} element - Element
+ * @param {string} name - Class name
+ * @returns {boolean} Whether the class is set
+ */
+function hasClass(element, name) {
+  return (element.attribs?.class || "").split(/\s+/).includes(name);
+}
+
+/**
+ * Collapse whitespace
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
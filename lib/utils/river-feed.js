@@ -0,0 +1,214 @@
+/**
+ * River feed generation
+ * Serializes the merged items of all blogs as RSS 2.0, Atom 1.0 or
+ * JSON Feed 1.1. Every entry credits the blog it was fetched from.
+ * @module utils/river-feed
+ */
+
+import { escapeXml, toIsoString } from "./xml.js";
+
+/**
+ * Generate RSS 2.0
+ * @param {Array} items - Items with their blog attached (see getItems)
+ * @param {object} feed - Feed metadata
+ * @param {string} feed.title - Feed title
+ * @param {string} feed.feedUrl - URL of this feed
+ * @param {string} [feed.homePageUrl] - Site URL
+ * @param {string} [feed.description] - Feed description
+ * @returns {string} RSS XML
+ */
+export function generateRiverRss(items, feed) {
+  const entries = items.map((item) => {
+    const entry = normalizeEntry(item);
+    const lines = [
+      `      <title>${escapeXml(entry.title)}</title>`,
+      entry.url ? `      <link>${escapeXml(entry.url)}</link>` : null,
+      `      <guid isPermaLink="${entry.url ? "true" : "false"}">${escapeXml(entry.id)}</guid>`,
+      entry.published
+        ? `      <pubDate>${new Date(entry.published).toUTCString()}</pubDate>`
+        : null,
+      `      <dc:creator>${escapeXml(entry.authorName)}</dc:creator>`,
+      entry.html || entry.summary
+        ? `      <description>${escapeXml(entry.html || entry.summary)}</description>`
+        : null,
+      ...entry.categories.map((c) => `      <category>${escapeXml(c)}</category>`),
+      // RSS allows a single enclosure per item
+      entry.enclosures[0]
+        ? `      <enclosure url="${escapeXml(entry.enclosures[0].url)}" length="${entry.enclosures[0].length || 0}" type="${escapeXml(entry.enclosures[0].type || "application/octet-stream")}"/>`
+        : null,
+      entry.blog
+        ? `      <source url="${escapeXml(entry.blog.feedUrl)}">${escapeXml(entry.blog.title)}</source>`
+        : null,
+    ];
+    return `    <item>\n${lines.filter(Boolean).join("\n")}\n    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homePageUrl || feed.feedUrl)}</link>
+    <description>${escapeXml(feed.description || feed.title)}</description>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+${entries.join("\n")}
+  </channel>
+</rss>`;
+}
+
+/**
+ * Generate Atom 1.0
+ * @param {Array} items - Items with their blog attached (see getItems)
+ * @param {object} feed - Feed metadata (see generateRiverRss)
+ * @returns {string} Atom XML
+ */
+export function generateRiverAtom(items, feed) {
+  const entries = items.map((item) => {
+    const entry = normalizeEntry(item);
+    const updated = entry.updated || entry.published || new Date().toISOString();
+    const lines = [
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <id>${escapeXml(entry.id)}</id>`,
+      entry.url ? `    <link rel="alternate" href="${escapeXml(entry.url)}"/>` : null,
+      entry.published ? `    <published>${entry.published}</published>` : null,
+      `    <updated>${updated}</updated>`,
+      `    <author>`,
+      `      <name>${escapeXml(entry.authorName)}</name>`,
+      entry.blog?.siteUrl ? `      <uri>${escapeXml(entry.blog.siteUrl)}</uri>` : null,
+      `    </author>`,
+      entry.summary ? `    <summary>${escapeXml(entry.summary)}</summary>` : null,
+      entry.html ? `    <content type="html">${escapeXml(entry.html)}</content>` : null,
+      ...entry.categories.map((c) => `    <category term="${escapeXml(c)}"/>`),
+      ...entry.enclosures.map(
+        (enc) =>
+          `    <link rel="enclosure" href="${escapeXml(enc.url)}"` +
+          (enc.type ? ` type="${escapeXml(enc.type)}"` : "") +
+          (enc.length ? ` length="${enc.length}"` : "") +
+          `/>`
+      ),
+    ];
+
+    if (entry.blog) {
+      lines.push(
+        `    <source>`,
+        `      <id>${escapeXml(entry.blog.feedUrl)}</id>`,
+        `      <title>${escapeXml(entry.blog.title)}</title>`,
+        entry.blog.siteUrl
+          ? `      <link rel="alternate" href="${escapeXml(entry.blog.siteUrl)}"/>`
+          : null,
+        `      <link rel="self" href="${escapeXml(entry.blog.feedUrl)}"/>`,
+        `    </source>`
+      );
+    }
+
+    return `  <entry>\n${lines.filter(Boolean).join("\n")}\n  </entry>`;
+  });
+
+  const homeLink = feed.homePageUrl
+    ? `\n  <link rel="alternate" href="${escapeXml(feed.homePageUrl)}"/>`
+    : "";
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <link rel="self" href="${escapeXml(feed.feedUrl)}"/>${homeLink}
+  <updated>${new Date().toISOString()}</updated>
+${entries.join("\n")}
+</feed>`;
+}
+
+/**
+ * Generate JSON Feed 1.1
+ * The original blog is credited in `authors` and in a `_blogroll`
+ * extension object.
+ * @param {Array} items - Items with their blog attached (see getItems)
+ * @param {object} feed - Feed metadata (see generateRiverRss)
+ * @returns {object} JSON Feed
+ */
+export function generateRiverJsonFeed(items, feed) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.homePageUrl || undefined,
+    feed_url: feed.feedUrl,
+    description: feed.description || undefined,
+    items: items.map((item) => {
+      const entry = normalizeEntry(item);
+      return {
+        id: entry.id,
+        url: entry.url || undefined,
+        title: entry.title,
+        content_html: entry.html || undefined,
+        content_text: entry.html ? undefined : entry.summary || "",
+        summary: entry.summary || undefined,
+        image: entry.image || undefined,
+        date_published: entry.published || undefined,
+        date_modified: entry.updated || undefined,
+        tags: entry.categories.length > 0 ? entry.categories : undefined,
+        attachments:
+          entry.enclosures.length > 0
+            ? entry.enclosures.map((enc) => ({
+                url: enc.url,
+                mime_type: enc.type || "application/octet-stream",
+                size_in_bytes: enc.length || undefined,
+                duration_in_seconds: enc.duration || undefined,
+              }))
+            : undefined,
+        authors: [
+          {
+            name: entry.authorName,
+            url: entry.blog?.siteUrl || undefined,
+            avatar: entry.blog?.photo || undefined,
+          },
+        ],
+        _blogroll: entry.blog
+          ? {
+              blog_title: entry.blog.title,
+              blog_url: entry.blog.siteUrl || undefined,
+              feed_url: entry.blog.feedUrl,
+            }
+          : undefined,
+      };
+    }),
+  };
+}
+
+/**
+ * Normalize a blogroll or Microsub item for serialization
+ * Microsub items carry the author as a string and photo as a single URL.
+ * @param {object} item - Item with optional blog
+ * @returns {object} Normalized entry
+ */
+function normalizeEntry(item) {
+  const blog = item.blog || null;
+  const author = typeof item.author === "string" ? item.author : item.author?.name;
+  const photo = Array.isArray(item.photo) ? item.photo[0] : item.photo;
+
+  return {
+    id: item.url || `urn:blogroll:item:${item._id}`,
+    url: item.url,
+    title: item.title || item.url || "Untitled",
+    html: item.content?.html,
+    summary: item.summary,
+    image: photo,
+    published: toIsoString(item.published),
+    updated: toIsoString(item.updated),
+    categories: (item.categories || []).filter((c) => typeof c === "string"),
+    // Audio and video first, so RSS gets the episode rather than an image
+    enclosures: (item.enclosures || [])
+      .filter((enc) => enc?.url)
+      .sort((a, b) => isMedia(b) - isMedia(a)),
+    authorName: author || blog?.title || "Unknown",
+    blog,
+  };
+}
+
+/**
+ * Whether an enclosure is audio or video
+ * @param {object} enclosure - Enclosure
+ * @returns {boolean} Whether it is playable media
+ */
+function isMedia(enclosure) {
+  return /^(audio|video)\//.test(enclosure.type || "");
+}
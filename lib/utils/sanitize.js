@@ -0,0 +1,179 @@
+/**
+ * HTML sanitization profiles for feed and article content
+ * @module utils/sanitize
+ */
+
+import sanitizeHtml from "sanitize-html";
+
+// Text formatting and links only
+const BASIC_PROFILE = {
+  allowedTags: [
+    "a",
+    "b",
+    "i",
+    "em",
+    "strong",
+    "p",
+    "br",
+    "ul",
+    "ol",
+    "li",
+    "blockquote",
+    "code",
+    "pre",
+  ],
+  allowedAttributes: { a: ["href"] },
+};
+
+// Keeps the structure of posts: headings, images, figures, tables and media
+const RICH_PROFILE = {
+  allowedTags: [
+    ...BASIC_PROFILE.allowedTags,
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "hr",
+    "s",
+    "del",
+    "ins",
+    "sub",
+    "sup",
+    "mark",
+    "small",
+    "abbr",
+    "cite",
+    "q",
+    "dl",
+    "dt",
+    "dd",
+    "img",
+    "figure",
+    "figcaption",
+    "table",
+    "caption",
+    "thead",
+    "tbody",
+    "tfoot",
+    "tr",
+    "th",
+    "td",
+    "video",
+    "audio",
+    "source",
+    "track",
+  ],
+  allowedAttributes: {
+    a: ["href", "title"],
+    img: ["src", "alt", "title", "width", "height"],
+    video: ["src", "poster", "controls", "width", "height"],
+    audio: ["src", "controls"],
+    source: ["src", "type"],
+    track: ["src", "kind", "srclang", "label"],
+    abbr: ["title"],
+    blockquote: ["cite"],
+    q: ["cite"],
+    ol: ["start"],
+    th: ["colspan", "rowspan", "scope"],
+    td: ["colspan", "rowspan"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  // Embedded resources are only loaded over HTTP(S)
+  allowedSchemesByTag: {
+    img: ["http", "https"],
+    video: ["http", "https"],
+    audio: ["http", "https"],
+    source: ["http", "https"],
+    track: ["http", "https"],
+  },
+  allowedSchemesAppliedToAttributes: ["href", "src", "cite", "poster"],
+};
+
+export const SANITIZE_PROFILES = {
+  basic: BASIC_PROFILE,
+  rich: RICH_PROFILE,
+};
+
+// Attributes set on every kept element of a tag, whatever the profile
+const ADDED_ATTRIBUTES = {
+  a: { rel: "noopener nofollow" },
+  img: { loading: "lazy", decoding: "async" },
+  video: { preload: "none", controls: "" },
+  audio: { preload: "none", controls: "" },
+};
+
+// URL attributes resolved against the item link
+const URL_ATTRIBUTES = ["href", "src", "cite", "poster"];
+
+/**
+ * Resolve a sanitization profile
+ * @param {string|object} [profile] - "rich" (default), "basic", or
+ *   sanitize-html options extending the rich profile
+ * @returns {object} sanitize-html options
+ */
+export function resolveSanitizeProfile(profile = "rich") {
+  if (typeof profile === "object" && profile !== null) {
+    return { ...RICH_PROFILE, ...profile };
+  }
+
+  return SANITIZE_PROFILES[profile] || RICH_PROFILE;
+}
+
+/**
+ * Sanitize feed or article HTML
+ * Relative URLs are resolved against `baseUrl`, links get
+ * `rel="noopener nofollow"` and images load lazily.
+ * @param {string} html - HTML
+ * @param {object} [options] - Options
+ * @param {string|object} [options.profile] - Sanitization profile
+ * @param {string} [options.baseUrl] - URL relative links are resolved against
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeContent(html, options = {}) {
+  const { baseUrl } = options;
+  const profile = resolveSanitizeProfile(options.profile);
+  const allowedAttributes = { ...profile.allowedAttributes };
+  const transformTags = {};
+
+  for (const tagName of profile.allowedTags || []) {
+    const added = ADDED_ATTRIBUTES[tagName] || {};
+    const urlNames = URL_ATTRIBUTES.filter((name) => allowedAttributes[tagName]?.includes(name));
+    if (Object.keys(added).length === 0 && (!baseUrl || urlNames.length === 0)) continue;
+
+    allowedAttributes[tagName] = [...(allowedAttributes[tagName] || []), ...Object.keys(added)];
+
+    transformTags[tagName] = (name, attribs) => {
+      const attributes = { ...attribs, ...added };
+
+      for (const urlName of baseUrl ? urlNames : []) {
+        if (attributes[urlName]) {
+          attributes[urlName] = resolveUrl(attributes[urlName], baseUrl);
+        }
+      }
+
+      return { tagName: name, attribs: attributes };
+    };
+  }
+
+  return sanitizeHtml(html, {
+    ...profile,
+    allowedAttributes,
+    transformTags: { ...transformTags, ...profile.transformTags },
+  });
+}
+
+/**
+ * Resolve a possibly relative URL
+ * @param {string} value - URL from the content
+ * @param {string} baseUrl - Base URL
+ * @returns {string} Absolute URL, or the value unchanged if it can't be parsed
+ */
+function resolveUrl(value, baseUrl) {
+  try {
+    return new URL(value.trim(), baseUrl).href;
+  } catch {
+    return value;
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Search helpers
+ * MongoDB text search covers the blogroll's own collections. Microsub
+ * items live in another plugin's collection without a text index, so they
+ * are matched with regular expressions and scored here instead.
+ * @module utils/search
+ */
+
+/**
+ * Split a search query into terms
+ * Quotes are dropped, and so are negated terms ("-word"), which only
+ * MongoDB text search can honour.
+ * @param {string} query - Search query
+ * @returns {Array<string>} Lowercased terms
+ */
+export function parseSearchTerms(query) {
+  return String(query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((term) => !term.startsWith("-"))
+    .map((term) => term.replace(/"/g, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Build a regular expression matching any of the terms
+ * @param {Array<string>} terms - Search terms
+ * @returns {RegExp} Case-insensitive pattern
+ */
+export function termsToRegex(terms) {
+  const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(escaped.join("|"), "i");
+}
+
+/**
+ * Score a document against search terms
+ * Roughly comparable to MongoDB's textScore: each field's weight counts
+ * once per matching term, plus a little for repeat matches.
+ * @param {object} document - Document to score
+ * @param {object} weights - Field weights, e.g. { title: 10 }
+ * @param {Array<string>} terms - Search terms
+ * @returns {number} Score (0 for no match)
+ */
+export function scoreTextMatch(document, weights, terms) {
+  let score = 0;
+
+  for (const [field, weight] of Object.entries(weights)) {
+    const value = field.split(".").reduce((object, key) => object?.[key], document);
+    if (typeof value !== "string" || !value) continue;
+
+    const text = value.toLowerCase();
+    for (const term of terms) {
+      const occurrences = text.split(term).length - 1;
+      if (occurrences > 0) score += weight * (1 + 0.1 * (occurrences - 1));
+    }
+  }
+
+  return score;
+}
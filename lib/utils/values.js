@@ -0,0 +1,37 @@
+/**
+ * Validation of untrusted values read from imported lists and exports
+ * @module utils/values
+ */
+
+/**
+ * Return a trimmed string, or "" for anything else
+ * @param {*} value - Value
+ * @returns {string} String
+ */
+export function stringOrEmpty(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Check for an absolute http(s) URL
+ * @param {*} value - Value
+ * @returns {boolean} True if valid
+ */
+export function isHttpUrl(value) {
+  if (typeof value !== "string") return false;
+  try {
+    const { protocol } = new URL(value.trim());
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Return an absolute http(s) URL, or undefined for anything else
+ * @param {*} value - Value
+ * @returns {string|undefined} Trimmed URL
+ */
+export function httpUrl(value) {
+  return isHttpUrl(value) ? value.trim() : undefined;
+}
@@ -0,0 +1,37 @@
+/**
+ * XML serialization helpers shared by the OPML and river feed writers
+ * @module utils/xml
+ */
+
+/**
+ * Escape XML special characters
+ * Control characters are dropped, as XML 1.0 doesn't allow them. Line
+ * breaks and tabs are written as character references, so attribute
+ * values keep them when parsed.
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+export function escapeXml(str) {
+  if (!str) return "";
+  return String(str)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    .replace(/\n/g, "&#10;")
+    .replace(/\r/g, "&#13;")
+    .replace(/\t/g, "&#9;");
+}
+
+/**
+ * Convert a Date or date string to an ISO string
+ * @param {Date|string} value - Date value
+ * @returns {string|undefined} ISO string
+ */
+export function toIsoString(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}